@@ -0,0 +1,51 @@
+import React, { useState, useEffect } from 'react';
+import { LAYOUT_PREFERENCES, DEFAULT_LAYOUT_PREFERENCES, suggestLayouts } from '../utils/layout';
+import { formatAreas } from '../utils/units';
+
+const Button = ({ className = 'bg-gray-600', ...props }) => <button className={`${className} text-white text-sm py-1 px-2 rounded disabled:bg-gray-400`} {...props} />;
+
+// Suggests layouts for the floor's enabled structures. A suggestion is previewed on the diagram
+// through `onPreview` (null clears it) and only changes the plan when applied.
+export default function AutoArrangePanel({ items, inputs, geometry, units, onPreview, onApply }) {
+  const [preferences, setPreferences] = useState(DEFAULT_LAYOUT_PREFERENCES);
+  const [layouts, setLayouts] = useState(null);
+  const [previewIndex, setPreviewIndex] = useState(null);
+
+  // Suggestions are for the structures as they were; any edit makes them stale.
+  useEffect(() => {
+    setLayouts(null);
+    setPreviewIndex(null);
+    return () => onPreview(null);
+  }, [items, inputs, onPreview]);
+
+  const handleSuggest = () => {
+    setLayouts(suggestLayouts(items, geometry, inputs, preferences));
+    setPreviewIndex(null);
+    onPreview(null);
+  };
+  const togglePreview = (index) => {
+    const next = previewIndex === index ? null : index;
+    setPreviewIndex(next);
+    onPreview(next === null ? null : { ...items, ...layouts[next].items });
+  };
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex flex-wrap gap-3">
+        {Object.entries(LAYOUT_PREFERENCES).map(([key, label]) => <label key={key} className="flex items-center gap-1"><input type="checkbox" checked={preferences[key]} onChange={e => setPreferences({ ...preferences, [key]: e.target.checked })} />{label}</label>)}
+      </div>
+      <Button className="bg-blue-600 w-full" onClick={handleSuggest}>Suggest Layouts</Button>
+      {layouts && !layouts.length && <p className="text-red-600">The enabled structures cannot all fit in the buildable area. Disable or shrink some and try again.</p>}
+      {layouts && layouts.map((layout, i) => (
+        <div key={i} className={`p-2 border rounded flex items-center gap-2 ${previewIndex === i ? 'border-blue-500 bg-blue-50' : ''}`}>
+          <div className="flex-1">
+            <p className="font-medium">Option {i + 1}{layout.houseArea > 0 && `: house ${formatAreas(layout.houseArea, units.areas)}`}</p>
+            {layout.notes.length > 0 && <p className="text-gray-600">{layout.notes.join('; ')}</p>}
+          </div>
+          <Button onClick={() => togglePreview(i)}>{previewIndex === i ? 'Hide' : 'Preview'}</Button>
+          <Button className="bg-green-600" onClick={() => onApply(layout.items)}>Apply</Button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { BATCH_COLUMNS, readBatchFile, buildBatchPlot, batchCsvTemplate } from '../utils/batch';
+import { buildReport, reportPages } from '../utils/report';
+import { createPdf } from '../utils/pdf';
+import { createZip } from '../utils/zip';
+import { toProjectFile } from '../utils/projectSchema';
+import { lengthLabel } from '../utils/units';
+import { downloadFile, readFileAsText, toFileName } from '../utils/download';
+
+const Button = ({ className = 'bg-gray-600', ...props }) => <button className={`${className} text-white text-sm py-1 px-2 rounded disabled:bg-gray-400`} {...props} />;
+
+// Builds every row against the template; rows whose report cannot be drawn are invalid too.
+const buildAll = (rows, template, ruleProfile) => rows.map(row => {
+  const plot = buildBatchPlot(row, template);
+  if (plot.errors) return plot;
+  const report = buildReport(plot.name, plot.state, ruleProfile);
+  try {
+    return { ...plot, report, pages: reportPages(report) };
+  } catch (error) {
+    return { line: plot.line, name: plot.name, errors: [error.message] };
+  }
+});
+
+const problemsText = (invalid) => invalid.map(r => `Row ${r.line} (${r.name}):\n${r.errors.map(e => `  - ${e}`).join('\n')}`).join('\n\n');
+
+// One report per plot in a CSV or JSON file, using the current project for structures, units, rule
+// profile and title block. The file is rebuilt against the current project on every download.
+export default function BatchReportPanel({ project, ruleProfile }) {
+  const [file, setFile] = useState(null);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const template = project.state;
+  const valid = results ? results.filter(r => !r.errors) : [], invalid = results ? results.filter(r => r.errors) : [];
+
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+    try {
+      const parsed = readBatchFile(await readFileAsText(selected), selected.name);
+      if (!parsed.rows.length) throw new Error('The file has no plots.');
+      setFile({ name: selected.name, ...parsed });
+      setResults(buildAll(parsed.rows, template, ruleProfile));
+      setError(null);
+    } catch (err) {
+      setFile(null);
+      setResults(null);
+      setError(`Could not read ${selected.name}: ${err.message}`);
+    }
+  };
+
+  const download = (write) => {
+    const current = buildAll(file.rows, template, ruleProfile);
+    setResults(current);
+    const ready = current.filter(r => !r.errors);
+    if (!ready.length) return window.alert('None of the plots can be reported. See the problems listed.');
+    write(ready, current.filter(r => r.errors));
+  };
+  const downloadPdf = () => download(ready => downloadFile(createPdf(ready.flatMap(r => r.pages)), toFileName(`${project.name} reports`, 'pdf'), 'application/pdf'));
+  // Each plot gets its report and a project file that opens in the editor.
+  const downloadZip = () => download((ready, problems) => {
+    const used = new Set();
+    const files = ready.flatMap(r => {
+      const base = used.has(toFileName(r.name, 'pdf')) ? `${r.name} row ${r.line}` : r.name;
+      used.add(toFileName(base, 'pdf'));
+      return [{ name: toFileName(base, 'pdf'), data: createPdf(r.pages) }, { name: toFileName(base, 'json'), data: JSON.stringify(toProjectFile({ name: r.name, state: r.state }), null, 2) }];
+    });
+    if (problems.length) files.push({ name: 'problems.txt', data: problemsText(problems) });
+    downloadFile(createZip(files), toFileName(`${project.name} reports`, 'zip'), 'application/zip');
+  });
+
+  return (
+    <div className="space-y-2 text-sm">
+      <p className="text-gray-600">Each row is a plot built from this project's structures, rule profile and title block. Lengths are in {lengthLabel(template.units.length)}.</p>
+      <details className="text-gray-600">
+        <summary className="cursor-pointer">Columns</summary>
+        <ul className="mt-1 space-y-1">{Object.entries(BATCH_COLUMNS).map(([key, description]) => <li key={key}><code>{key}</code>: {description}</li>)}</ul>
+        <p className="mt-1">JSON files hold a list of the same fields; a <code>roads</code> list of <code>{'{ side, width, type }'}</code> allows several roads.</p>
+      </details>
+      <div className="grid grid-cols-2 gap-2">
+        <Button onClick={() => downloadFile(batchCsvTemplate(template), 'plots.csv', 'text/csv')}>CSV Template</Button>
+        <label className="text-center bg-blue-600 text-white py-1 px-2 rounded cursor-pointer">Import Plots<input type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={handleFile} /></label>
+      </div>
+      {error && <p className="text-red-600">{error}</p>}
+      {file && <>
+        <p><span className="font-medium">{file.name}:</span> {valid.length} plot(s) ready{invalid.length > 0 && `, ${invalid.length} with problems`}.</p>
+        {file.ignoredColumns.length > 0 && <p className="text-amber-700">Ignored columns: {file.ignoredColumns.join(', ')}</p>}
+        {invalid.length > 0 && <ul className="max-h-48 overflow-y-auto space-y-1">{invalid.map(r => <li key={r.line} className="p-2 border border-red-200 rounded bg-red-50 text-red-800"><p className="font-medium">Row {r.line} ({r.name})</p>{r.errors.map((e, i) => <p key={i}>{e}</p>)}</li>)}</ul>}
+        <div className="grid grid-cols-2 gap-2">
+          <Button className="bg-gray-700" disabled={!valid.length} onClick={downloadPdf}>Download PDF</Button>
+          <Button className="bg-gray-700" disabled={!valid.length} onClick={downloadZip}>Download ZIP</Button>
+        </div>
+      </>}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React from 'react';
+import UnitInput from './UnitInput';
+import { lengthLabel, formatLength } from '../utils/units';
+
+const Cell = ({ unit, onValueChange, ...props }) => unit
+  ? <UnitInput className="p-1 w-full border rounded text-right" unit={unit} onValueChange={onValueChange} {...props} />
+  : <input type="number" className="p-1 w-full border rounded text-right" onChange={e => onValueChange(e.target.value)} {...props} />;
+
+// Edits an irregular plot either as a traverse of side lengths and bearings or as corner coordinates.
+export default function BoundaryEditor({ inputs, lengthUnit, geometry, onChange, onModeChange }) {
+  const { boundaryMode, sides = [], vertices = [] } = inputs;
+  const isSides = boundaryMode === 'sides';
+  const rows = isSides ? sides : vertices;
+  const unit = lengthLabel(lengthUnit);
+  // [field, column heading, whether the field is a length]
+  const fields = isSides ? [['length', `Length (${unit})`, true], ['bearing', 'Bearing (°)', false]] : [['x', `X (${unit})`, true], ['y', `Y (${unit})`, true]];
+  const key = isSides ? 'sides' : 'vertices';
+
+  const updateRow = (index, field, value) => onChange({ [key]: rows.map((r, i) => i === index ? { ...r, [field]: value } : r) });
+  const removeRow = (index) => onChange({ [key]: rows.filter((_, i) => i !== index) });
+  // A new corner goes halfway back to the first one, so it never repeats the last corner.
+  const newVertex = () => {
+    if (!rows.length) return { x: 0, y: 0 };
+    const [lx, ly, fx, fy] = [rows[rows.length - 1].x, rows[rows.length - 1].y, rows[0].x, rows[0].y].map(v => parseFloat(v) || 0);
+    return lx === fx && ly === fy ? { x: lx + 10, y: ly } : { x: (lx + fx) / 2, y: (ly + fy) / 2 };
+  };
+  const addRow = () => {
+    const last = rows[rows.length - 1];
+    onChange({ [key]: [...rows, isSides ? { length: 10, bearing: last ? last.bearing : 90 } : newVertex()] });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2 text-sm">
+        <button onClick={() => onModeChange('sides')} className={`flex-1 py-1 rounded ${isSides ? 'bg-blue-600 text-white' : 'bg-gray-200'}`}>Sides &amp; bearings</button>
+        <button onClick={() => onModeChange('vertices')} className={`flex-1 py-1 rounded ${!isSides ? 'bg-blue-600 text-white' : 'bg-gray-200'}`}>Coordinates</button>
+      </div>
+      <div className="grid grid-cols-[auto,1fr,1fr,auto] gap-1 items-center text-sm">
+        <span />{fields.map(([, label]) => <span key={label} className="text-gray-600">{label}</span>)}<span />
+        {rows.map((row, i) => (
+          <React.Fragment key={i}>
+            <span className="text-gray-500 pr-1">{isSides ? `S${i + 1}` : String.fromCharCode(65 + (i % 26))}</span>
+            {fields.map(([field, , isLength]) => <Cell key={field} unit={isLength ? lengthUnit : null} value={row[field]} onValueChange={value => updateRow(i, field, value)} />)}
+            <button onClick={() => removeRow(i)} className="bg-red-500 text-white w-6 h-6 rounded">&times;</button>
+          </React.Fragment>
+        ))}
+      </div>
+      <button onClick={addRow} className="w-full bg-green-600 text-white py-1 rounded text-sm">Add {isSides ? 'Side' : 'Corner'}</button>
+      {isSides && geometry.closureError > 0.01 && <p className="text-sm text-amber-700">The traverse does not close by {formatLength(geometry.closureError, lengthUnit)}; the last corner is joined back to the first.</p>}
+      {!geometry.valid && <p className="text-sm text-red-600">The boundary needs at least three corners and must not cross itself.</p>}
+      {geometry.valid && !geometry.buildable.length && <p className="text-sm text-red-600">The setbacks leave no buildable area.</p>}
+      <p className="text-xs text-gray-500">Tip: drag the green corner handles on the diagram to adjust the shape.</p>
+    </div>
+  );
+}
@@ -0,0 +1,13 @@
+import React from 'react';
+import { formatAreas } from '../utils/units';
+
+export default function CalculationsSummary({ calculations, units }) {
+  return (
+    <div className="text-lg space-y-2">
+      <div><strong>Plot Area:</strong><span className="float-right">{formatAreas(calculations.plotArea, units.areas)}</span></div>
+      <div><strong>Total Allowable BUA:</strong><span className="float-right">{formatAreas(calculations.totalAllowableFloorArea, units.areas)}</span></div>
+      {calculations.floorCalculations.map(f => <div key={f.id} className="text-base pl-3"><span>{f.name}:</span><span className="float-right">{formatAreas(f.netBua, units.areas)}</span></div>)}
+      <div><strong>Total As-Built BUA:</strong><span className="float-right">{formatAreas(calculations.totalNetBUA, units.areas)}</span></div>
+    </div>
+  );
+}
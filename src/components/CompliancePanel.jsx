@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+
+const Button = ({ className = 'bg-gray-600', ...props }) => <button className={`${className} text-white text-sm py-1 px-2 rounded disabled:bg-gray-400`} {...props} />;
+
+// Without `ruleProfiles` the panel is read-only: it shows the results for the given profile.
+export default function CompliancePanel({ ruleProfiles, ruleProfile, compliance, onSelectProfile, onApplySetbacks }) {
+  const { profiles, saveProfile, duplicateProfile, deleteProfile, restoreDefaults } = ruleProfiles || {};
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const startEditing = () => { setDraft(JSON.stringify(ruleProfile, null, 2)); setError(null); };
+  const handleSave = () => {
+    try {
+      const saved = saveProfile(ruleProfile.id, draft);
+      if (saved.id !== ruleProfile.id) onSelectProfile(saved.id);
+      setDraft(null);
+      setError(null);
+    } catch (e) { setError(e.message); }
+  };
+  const handleDuplicate = () => onSelectProfile(duplicateProfile(ruleProfile.id).id);
+  const handleDelete = () => {
+    if (window.confirm(`Delete the rule profile "${ruleProfile.name}"?`)) {
+      deleteProfile(ruleProfile.id);
+      onSelectProfile(profiles.find(p => p.id !== ruleProfile.id).id);
+    }
+  };
+
+  const failures = compliance.results.filter(r => r.status === 'fail').length;
+
+  return (
+    <div className="space-y-3">
+      {ruleProfiles ? <>
+        <select className="p-2 w-full border rounded-md shadow-sm bg-gray-50" value={ruleProfile.id} onChange={e => { onSelectProfile(e.target.value); setDraft(null); }}>
+          {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+        <div className="grid grid-cols-2 gap-2">
+          <Button onClick={draft === null ? startEditing : () => setDraft(null)}>{draft === null ? 'Edit JSON' : 'Cancel'}</Button>
+          <Button onClick={handleDuplicate}>Duplicate</Button>
+          <Button className="bg-red-500" onClick={handleDelete} disabled={profiles.length < 2}>Delete</Button>
+          <Button onClick={restoreDefaults}>Restore Defaults</Button>
+        </div>
+        {draft !== null && (<div className="space-y-2">
+          <textarea value={draft} onChange={e => setDraft(e.target.value)} spellCheck={false} className="w-full h-64 p-2 border rounded font-mono text-xs" />
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <Button className="bg-blue-600 w-full" onClick={handleSave}>Save Profile</Button>
+        </div>)}
+      </> : <p className="font-medium">{ruleProfile.name}</p>}
+      <div className={`p-2 rounded font-semibold ${failures ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+        {failures ? `${failures} violation${failures > 1 ? 's' : ''}` : 'All rules pass'}
+      </div>
+      <ul className="space-y-1 text-sm">
+        {compliance.results.map(r => (
+          <li key={r.id} className="flex gap-2">
+            <span className={r.status === 'pass' ? 'text-green-600' : 'text-red-600'}>{r.status === 'pass' ? '✓' : '✗'}</span>
+            <span><span className="font-medium">{r.rule}</span><br /><span className="text-gray-600">{r.message}</span></span>
+          </li>
+        ))}
+      </ul>
+      {ruleProfiles && <Button className="bg-blue-600 w-full" onClick={onApplySetbacks}>Apply Minimum Setbacks</Button>}
+    </div>
+  );
+}
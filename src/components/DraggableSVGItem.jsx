@@ -1,37 +1,42 @@
 import React, { useState, useRef, useCallback, useEffect } from 'react';
 
-export default function DraggableSVGItem({ x, y, onPositionChange, constraints, children }) {
+// Helper to get correct coordinates for both mouse and touch events
+const getPointerPosition = (e) => {
+  // Correctly check for touch events first
+  if (e.touches && e.touches.length > 0) {
+    return { x: e.touches[0].clientX, y: e.touches[0].clientY };
+  }
+  // Fallback for mouse events
+  return { x: e.clientX, y: e.clientY };
+};
+
+// Pointer position in the coordinate system the item is positioned in (its parent's, not its own
+// translated one, which moves along with the drag).
+const toLocal = (e, node) => {
+  const pos = getPointerPosition(e);
+  const CTM = node.parentNode.getScreenCTM();
+  return { x: (pos.x - CTM.e) / CTM.a, y: (pos.y - CTM.f) / CTM.d };
+};
+
+export default function DraggableSVGItem({ x, y, onPositionChange, onDragStart, onDragEnd, constraints, disabled, children }) {
   const [isDragging, setIsDragging] = useState(false);
   const offset = useRef({ x: 0, y: 0 });
   const itemRef = useRef(null);
 
-  // Helper to get correct coordinates for both mouse and touch events
-  const getPointerPosition = (e) => {
-    // Correctly check for touch events first
-    if (e.touches && e.touches.length > 0) {
-      return { x: e.touches[0].clientX, y: e.touches[0].clientY };
-    }
-    // Fallback for mouse events
-    return { x: e.clientX, y: e.clientY };
-  };
-
   const handleDragStart = useCallback((e) => {
+    e.stopPropagation();
     setIsDragging(true);
-    const pos = getPointerPosition(e);
-    const CTM = itemRef.current.getScreenCTM();
-    offset.current = {
-      x: (pos.x - CTM.e) / CTM.a - x,
-      y: (pos.y - CTM.f) / CTM.d - y,
-    };
-  }, [x, y]);
+    if (onDragStart) onDragStart();
+    const local = toLocal(e, itemRef.current);
+    offset.current = { x: local.x - x, y: local.y - y };
+  }, [x, y, onDragStart]);
 
   const handleDragMove = useCallback((e) => {
     if (isDragging) {
       e.preventDefault(); // Prevents page scrolling on touch devices
-      const pos = getPointerPosition(e);
-      const CTM = itemRef.current.getScreenCTM();
-      let newX = (pos.x - CTM.e) / CTM.a - offset.current.x;
-      let newY = (pos.y - CTM.f) / CTM.d - offset.current.y;
+      const local = toLocal(e, itemRef.current);
+      let newX = local.x - offset.current.x;
+      let newY = local.y - offset.current.y;
       if (constraints) {
         newX = Math.max(constraints.x, Math.min(newX, constraints.maxX));
         newY = Math.max(constraints.y, Math.min(newY, constraints.maxY));
@@ -40,11 +45,14 @@ export default function DraggableSVGItem({ x, y, onPositionChange, constraints,
     }
   }, [isDragging, onPositionChange, constraints]);
 
-  const handleDragEnd = useCallback(() => setIsDragging(false), []);
+  const handleDragEnd = useCallback(() => {
+    setIsDragging(false);
+    if (onDragEnd) onDragEnd();
+  }, [onDragEnd]);
 
   useEffect(() => {
     const node = itemRef.current;
-    if (node) {
+    if (node && !disabled) {
       node.addEventListener('mousedown', handleDragStart);
       node.addEventListener('touchstart', handleDragStart, { passive: true });
     }
@@ -66,12 +74,12 @@ export default function DraggableSVGItem({ x, y, onPositionChange, constraints,
       document.removeEventListener('mouseup', handleDragEnd);
       document.removeEventListener('touchend', handleDragEnd);
     };
-  }, [isDragging, handleDragStart, handleDragMove, handleDragEnd]);
+  }, [isDragging, disabled, handleDragStart, handleDragMove, handleDragEnd]);
 
   // **CRITICAL FIX IS HERE**
   // The return statement correctly renders the children inside the <g> tag.
   return (
-    <g ref={itemRef} transform={`translate(${x}, ${y})`} style={{ cursor: isDragging ? 'grabbing' : 'grab' }}>
+    <g ref={itemRef} transform={`translate(${x}, ${y})`} style={{ cursor: disabled ? 'default' : isDragging ? 'grabbing' : 'grab' }}>
       {children}
     </g>
   );
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { buildDrawing } from '../utils/drawing';
+import { drawingToSvg, drawingToPdf, drawingToDxf, STANDARD_SCALES } from '../utils/exporters';
+import { PAPER_SIZES } from '../utils/pdf';
+import { downloadFile, toFileName } from '../utils/download';
+
+const Button = (props) => <button className="bg-gray-700 text-white py-2 rounded disabled:bg-gray-400" {...props} />;
+
+// Scale-accurate vector exports of the diagram. SVG and DXF show the selected floor; the PDF has a page per floor.
+export default function ExportPanel({ plot, floors, activeFloor, lengthUnit, projectName }) {
+  const [paper, setPaper] = useState('A3');
+  const [scale, setScale] = useState(100);
+  const [error, setError] = useState(null);
+
+  const drawFloor = (floor) => buildDrawing({ ...plot, items: floor.items, measurements: floor.measurements }, { title: `${projectName} — ${floor.name}`, lengthUnit });
+
+  const run = (write, extension, type) => {
+    try {
+      downloadFile(write(), toFileName(projectName, extension), type);
+      setError(null);
+    } catch (e) { setError(e.message); }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-sm font-medium text-gray-700">Paper
+          <select className="p-2 w-full border rounded-md bg-gray-50" value={paper} onChange={e => setPaper(e.target.value)}>
+            {Object.keys(PAPER_SIZES).map(size => <option key={size} value={size}>{size}</option>)}
+          </select>
+        </label>
+        <label className="text-sm font-medium text-gray-700">Scale 1:
+          <input className="p-2 w-full border rounded-md bg-gray-50 text-right" type="number" min="1" list="standard-scales" value={scale} onChange={e => setScale(parseFloat(e.target.value) || 0)} />
+          <datalist id="standard-scales">{STANDARD_SCALES.map(s => <option key={s} value={s} />)}</datalist>
+        </label>
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        <Button disabled={scale <= 0} onClick={() => run(() => drawingToSvg(drawFloor(activeFloor), { scale }), 'svg', 'image/svg+xml')}>SVG</Button>
+        <Button disabled={scale <= 0} onClick={() => run(() => drawingToPdf(floors.map(drawFloor), { paper, scale }), 'pdf', 'application/pdf')}>PDF</Button>
+        <Button onClick={() => run(() => drawingToDxf(drawFloor(activeFloor)), 'dxf', 'application/dxf')}>DXF</Button>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -1,34 +1,62 @@
 import React from 'react';
 import PlotDiagramSVG from './PlotDiagramSVG';
+import { FLOOR_LEVELS } from '../utils/structures';
+import { DEFAULT_UNITS, formatAreas } from '../utils/units';
+import { INITIAL_STATE } from '../utils/projectSchema';
 
-const ExportableImage = React.forwardRef(({ inputs, items, surroundings, calculations, identificationText }, ref) => (
+const cell = { border: '1px solid black', padding: '4px 8px' };
+
+// The report's title block. The image is not to scale, unlike the PDF reports.
+const TitleBlock = ({ report, projectName }) => (
+    <div style={{ display: 'flex', border: '2px solid black', marginTop: '32px', fontSize: '20px', height: '180px' }}>
+        <div style={{ width: '220px', borderRight: '2px solid black', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '8px' }}>{report.logo && <img src={report.logo.src} alt="Logo" style={{ maxWidth: '100%', maxHeight: '100%' }} />}</div>
+        <div style={{ flex: 1, padding: '16px' }}>
+            <p style={{ fontSize: '26px', fontWeight: 'bold' }}>{report.heading}</p>
+            <p style={{ fontSize: '22px', fontWeight: 'bold', marginTop: '8px' }}>{projectName}</p>
+        </div>
+        <table style={{ width: '480px', borderCollapse: 'collapse', fontSize: '18px' }}>
+            <tbody>{[['Survey No.', report.surveyNumber], ['Owner', report.owner], ['Surveyor', report.surveyor], ['Date', report.date], ['Scale', 'Not to scale']].map(([label, value]) => <tr key={label}><td style={{ ...cell, fontWeight: 'bold', width: '140px' }}>{label}</td><td style={cell}>{value || '-'}</td></tr>)}</tbody>
+        </table>
+        <div style={{ width: '300px', borderLeft: '2px solid black', display: 'flex', flexDirection: 'column', alignItems: 'center', padding: '8px' }}>
+            <div style={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', overflow: 'hidden' }}>{report.signature && <img src={report.signature.src} alt="Signature" style={{ maxWidth: '100%', maxHeight: '110px' }} />}</div>
+            <p style={{ borderTop: '1px solid black', width: '90%', textAlign: 'center', fontSize: '16px' }}>{report.surveyor ? `Signature (${report.surveyor})` : 'Signature'}</p>
+        </div>
+    </div>
+);
+
+const ExportableImage = React.forwardRef(({ projectName, inputs, surroundings, calculations, identificationText, compliance, units = DEFAULT_UNITS, dimensions, report = INITIAL_STATE.report }, ref) => (
     <div ref={ref} className="p-8 bg-white border-2 border-black" style={{ width: '1800px', fontFamily: 'monospace' }}>
-        <h1 style={{ textAlign: 'center', fontSize: '32px', fontWeight: 'bold', marginBottom: '24px' }}>Plot Area Calculation & Diagram</h1>
-        <div style={{ display: 'flex', gap: '32px' }}>
-            <div style={{ width: '60%' }}>
-                <PlotDiagramSVG inputs={inputs} items={items} surroundings={surroundings} onPositionChange={()=>{}} isExport={true} />
-            </div>
-            <div style={{ width: '40%', fontSize: '20px', paddingTop: '40px' }}>
-                <h2 style={{ fontSize: '28px', fontWeight: 'bold', borderBottom: '2px solid black', paddingBottom: '8px', marginBottom: '16px' }}>Calculation Details</h2>
-                {calculations.floorCalculations.map((floor, index) => (
-                    <div key={floor.id} style={{ marginBottom: '24px' }}>
-                        <p style={{ fontWeight: 'bold', fontSize: '22px' }}>{floor.name}:</p>
-                        <p style={{ paddingLeft: '16px' }}>{floor.grossArea} sqft (Gross)</p>
-                        {index === 0 && <p style={{ paddingLeft: '16px' }}>- {calculations.parkingArea.toFixed(0)} sqft (Parking)</p>}
-                        <p style={{ paddingLeft: '16px' }}>- {calculations.staircaseArea.toFixed(0)} sqft (Staircase)</p>
-                        <p style={{ paddingLeft: '16px' }}>- {calculations.liftArea.toFixed(0)} sqft (Lift)</p>
-                        <p style={{ paddingLeft: '16px' }}>- {calculations.setbackArea.toFixed(0)} sqft (Setbacks)</p>
-                        <p style={{ paddingLeft: '16px', borderTop: '1px solid #888', paddingTop: '4px', marginTop: '4px' }}>= <span style={{ fontWeight: 'bold' }}>{floor.netBua.toFixed(0)} sqft (Net BUA)</span></p>
-                    </div>
-                ))}
-                <div style={{ marginTop: '24px', borderTop: '2px solid black', paddingTop: '16px' }}>
-                    <p><strong>Buildable Area:</strong> {calculations.buildableArea.toFixed(0)} sqft</p>
-                    <p><strong>Total Allowable Floor Area:</strong> {calculations.totalAllowableFloorArea.toFixed(0)} sqft</p>
-                    <p><strong>Total As-Built Net BUA:</strong> {calculations.totalNetBUA.toFixed(0)} sqft</p>
+        <h1 style={{ textAlign: 'center', fontSize: '32px', fontWeight: 'bold', marginBottom: '24px' }}>{report.heading}</h1>
+        {calculations.floorCalculations.map((floor) => (
+            <div key={floor.id} style={{ display: 'flex', gap: '32px', marginBottom: '32px', borderBottom: '1px solid #888', paddingBottom: '24px' }}>
+                <div style={{ width: '60%' }}>
+                    <PlotDiagramSVG inputs={inputs} items={floor.items} surroundings={surroundings} dimensions={dimensions} measurements={floor.measurements} onPositionChange={()=>{}} isExport={true} units={units} highlightKeys={compliance ? compliance.results.flatMap(r => r.itemKeys) : []} highlightSides={compliance ? compliance.results.flatMap(r => r.sides) : []} />
                 </div>
+                <div style={{ width: '40%', fontSize: '20px', paddingTop: '40px' }}>
+                    <h2 style={{ fontSize: '28px', fontWeight: 'bold', borderBottom: '2px solid black', paddingBottom: '8px', marginBottom: '16px' }}>{floor.name} ({FLOOR_LEVELS[floor.level]})</h2>
+                    {floor.structures.filter(s => s.builtUp && s.area > 0).map(s => <p key={s.key} style={{ paddingLeft: '16px' }}>+ {formatAreas(s.area, units.areas)} ({s.label})</p>)}
+                    <p style={{ paddingLeft: '16px', borderTop: '1px solid #888', paddingTop: '4px', marginTop: '4px' }}>= {formatAreas(floor.grossArea, units.areas)} (Gross{floor.grossOverridden ? ', entered' : ', from footprint'})</p>
+                    {floor.deductions.map(d => <p key={d.key} style={{ paddingLeft: '16px' }}>- {formatAreas(d.area, units.areas)} ({d.label})</p>)}
+                    <p style={{ paddingLeft: '16px', borderTop: '1px solid #888', paddingTop: '4px', marginTop: '4px' }}>= <span style={{ fontWeight: 'bold' }}>{formatAreas(floor.netBua, units.areas)} (Net BUA)</span></p>
+                    {floor.structures.filter(s => !s.builtUp && s.area > 0).map(s => <p key={s.key} style={{ paddingLeft: '16px', color: '#555' }}>{formatAreas(s.area, units.areas)} ({s.label}, not built-up)</p>)}
+                </div>
+            </div>
+        ))}
+        <div style={{ display: 'flex', gap: '32px', fontSize: '20px' }}>
+            <div style={{ width: '50%' }}>
+                <p><strong>Plot Area:</strong> {formatAreas(calculations.plotArea, units.areas)}</p>
+                <p><strong>Buildable Area:</strong> {formatAreas(calculations.buildableArea, units.areas)}</p>
+                <p><strong>Total Allowable Floor Area:</strong> {formatAreas(calculations.totalAllowableFloorArea, units.areas)}</p>
+                <p><strong>Total As-Built Net BUA:</strong> {formatAreas(calculations.totalNetBUA, units.areas)}</p>
+                <p><strong>FAR:</strong> {calculations.far.toFixed(2)}</p>
             </div>
+            {compliance && <div style={{ width: '50%' }}>
+                <p style={{ fontWeight: 'bold', fontSize: '22px' }}>Compliance ({compliance.profileName}): {compliance.passed ? 'PASS' : 'FAIL'}</p>
+                {compliance.results.map(r => <p key={r.id} style={{ paddingLeft: '16px', color: r.status === 'pass' ? '#15803d' : '#b91c1c' }}>{r.status === 'pass' ? '✓' : '✗'} {r.rule}: {r.message}</p>)}
+            </div>}
         </div>
         <p style={{ marginTop: '32px', fontSize: '20px' }}><strong>* {identificationText}</strong></p>
+        <TitleBlock report={report} projectName={projectName} />
     </div>
 ));
 
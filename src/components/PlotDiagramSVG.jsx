@@ -1,56 +1,197 @@
-import React from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import DraggableSVGItem from './DraggableSVGItem';
+import { getCategory, itemLabel } from '../utils/structures';
+import { getPlotGeometry, boundingBox, itemVertices } from '../utils/geometry';
+import { collectSnapTargets, snapItemPosition, snapPoint } from '../utils/snapping';
+import { collectDimensions, dimensionShape } from '../utils/dimensions';
+import { DEFAULT_UNITS, formatLength } from '../utils/units';
+import { COMPASS, getRoads, compassToScreen, roadExtents, roadBand, sideLabelPosition, compassRose } from '../utils/orientation';
 
-export default function PlotDiagramSVG({ inputs, items, surroundings, onPositionChange, isExport, collisionItemKey }) {
-  const { plotWidth, plotLength, roadWidth, setbackFront, setbackBack, setbackLeft, setbackRight, northDirection } = inputs;
+const toPath = (points, scale) => points.length ? `M${points.map(p => `${p.x*scale},${p.y*scale}`).join(' L')} Z` : '';
+
+// How close (in screen pixels) an edge has to come to a setback line or another item to snap to it.
+const SNAP_TOLERANCE = 8;
+
+export default function PlotDiagramSVG({ inputs, items, surroundings, onPositionChange, onVertexChange, onDragStart, onDragEnd, isExport, readOnly, collisionItemKey, highlightKeys = [], highlightSides = [], units = DEFAULT_UNITS, snap, selectedKey, onSelectItem, floors, activeFloorId, onFloorChange, dimensions, measurements = [], measureMode, onMeasure }) {
+  const [guides, setGuides] = useState([]);
+  const [pending, setPending] = useState(null);
+  const plotRef = useRef(null);
+  const { northDirection } = inputs;
   const MAX_SVG_DIM = isExport ? 1000 : 500;
+  const locked = isExport || readOnly;
   const PADDING = 60;
 
-  const pW=parseFloat(plotWidth)||0, pL=parseFloat(plotLength)||0, rW=parseFloat(roadWidth)||0, sF=parseFloat(setbackFront)||0, sB=parseFloat(setbackBack)||0, sL=parseFloat(setbackLeft)||0, sR=parseFloat(setbackRight)||0;
-  
-  const scale = Math.min(MAX_SVG_DIM / (pW + PADDING), MAX_SVG_DIM / (pL + rW + PADDING));
-  const svgWidth = pW * scale + PADDING * 2, svgHeight = (pL + rW) * scale + PADDING * 2;
-  const bW = (pW - sL - sR) * scale, bL = (pL - sF - sB) * scale;
-  
-  const buildableConstraints = { x: sL * scale, y: sF * scale, bW, bL };
-  const directions = { top: {N:'N',S:'S',E:'E',W:'W'}, bottom: {N:'S',S:'N',E:'W',W:'E'}, left: {N:'W',S:'E',E:'N',W:'S'}, right: {N:'E',S:'W',E:'S',W:'N'} }[northDirection];
+  const geometry = getPlotGeometry(inputs);
+  const { minX, minY, maxX, maxY, width: pW, height: pL } = geometry.bounds;
+  const extents = roadExtents(inputs);
+  const left = minX - extents.left, top = minY - extents.top;
+  const totalW = pW + extents.left + extents.right, totalH = pL + extents.top + extents.bottom;
+
+  const scale = Math.min(MAX_SVG_DIM / (totalW + PADDING), MAX_SVG_DIM / (totalH + PADDING));
+  const svgWidth = totalW * scale + PADDING * 2, svgHeight = totalH * scale + PADDING * 2;
+  const b = geometry.buildableBounds;
+  const roseCenter = { x: svgWidth - PADDING / 2, y: PADDING / 2 }, roseRadius = isExport ? 16 : 12;
+  const rose = compassRose(roseCenter, roseRadius, northDirection);
   
+  const handleItemDrag = (key, item, pos) => {
+    let position = { x: pos.x / scale, y: pos.y / scale };
+    if (snap && snap.enabled) {
+      const snapped = snapItemPosition(item, position, { grid: parseFloat(snap.grid) || 0, targets: collectSnapTargets(geometry, items, key, snap), tolerance: SNAP_TOLERANCE / scale });
+      position = snapped.position;
+      setGuides(snapped.guides);
+    }
+    onPositionChange(key, position);
+  };
+
+  // Keeps the item's rotated outline, not its unrotated rectangle, within the buildable bounds.
+  const dragConstraints = (item) => {
+    const box = boundingBox(itemVertices({ ...item, position: { x: 0, y: 0 } }));
+    return { x: (b.minX - box.minX)*scale, y: (b.minY - box.minY)*scale, maxX: (b.maxX - box.maxX)*scale, maxY: (b.maxY - box.maxY)*scale };
+  };
+
+  const handleItemDragStart = (key) => {
+    if (onSelectItem) onSelectItem(key);
+    if (onDragStart) onDragStart();
+  };
+
+  const handleItemDragEnd = () => {
+    setGuides([]);
+    if (onDragEnd) onDragEnd();
+  };
+
+  // Dimension lines sit about one label height off the edge they measure.
+  const dimensionGap = (isExport ? 24 : 14) / scale;
+  const dims = collectDimensions(geometry, items, dimensions, pending && pending.to ? [...measurements, pending] : measurements, dimensionGap);
+  const labelGap = 15 + (dimensions && dimensions.sides ? dimensionGap * scale * 1.6 : 0);
+
+  useEffect(() => {
+    if (!measureMode) setPending(null);
+  }, [measureMode]);
+
+  useEffect(() => {
+    if (!pending) return undefined;
+    const handleKeyDown = (e) => { if (e.key === 'Escape') setPending(null); };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [pending]);
+
+  // Pointer position in plot feet, snapped to corners or the grid.
+  const measurePoint = (e) => {
+    const CTM = plotRef.current.getScreenCTM();
+    const point = { x: (e.clientX - CTM.e) / CTM.a / scale, y: (e.clientY - CTM.f) / CTM.d / scale };
+    const corners = [...geometry.vertices, ...geometry.buildable, ...Object.values(items).filter(item => item.enabled).flatMap(itemVertices)];
+    return snapPoint(point, { grid: snap && snap.enabled ? parseFloat(snap.grid) || 0 : 0, corners, tolerance: SNAP_TOLERANCE / scale });
+  };
+
+  // The first click starts a measurement and the second one keeps it.
+  const handleMeasureClick = (e) => {
+    const point = measurePoint(e);
+    if (!pending) { setPending({ from: point, to: null }); return; }
+    if (Math.hypot(point.x - pending.from.x, point.y - pending.from.y) > 0.01) onMeasure(pending.from, point);
+    setPending(null);
+  };
+
   const Text = ({ children, ...props }) => <text style={{ fontSize: isExport ? '20px' : '12px', fill: '#333' }} {...props}>{children}</text>;
-  const BoldText = ({ children, ...props }) => <text style={{ fontSize: isExport ? '24px' : '14px', fontWeight: 'bold' }} {...props}>{children}</text>;
 
-  return (
+  const diagram = (
     <svg width="100%" height="auto" viewBox={`0 0 ${svgWidth} ${svgHeight}`} xmlns="http://www.w3.org/2000/svg">
       <defs>
         <filter id="glow" x="-50%" y="-50%" width="200%" height="200%">
           <feDropShadow dx="0" dy="0" stdDeviation="5" floodColor="red" />
         </filter>
       </defs>
-      <g transform={`translate(${PADDING}, ${PADDING})`}>
-        {/* Surroundings & Directions */}
-        <BoldText x={pW*scale/2} y={-35} textAnchor="middle">{directions.N}</BoldText>
-        <Text x={pW*scale/2} y={-15} textAnchor="middle">({surroundings.north})</Text>
-
-        {/* Plot and Road */}
-        <rect x="0" y={pL*scale} width={pW*scale} height={rW*scale} fill="#e5e7eb" stroke="black" />
-        <rect x="0" y="0" width={pW*scale} height={pL*scale} fill="#dcfce7" stroke="black" />
-
-        {/* Setback Area and Labels */}
-        <path d={`M0,0 H${pW*scale} V${pL*scale} H0 Z M${sL*scale},${sF*scale} V${(pL-sB)*scale} H${(pW-sR)*scale} V${sF*scale} Z`} fillRule="evenodd" fill="#fef9c3" opacity="0.6" />
-        <Text x={pW*scale/2} y={sF*scale/2} textAnchor="middle" dominantBaseline="middle">{sF} ft</Text>
-        
+      {/* Compass Rose */}
+      <g>
+        <circle cx={roseCenter.x} cy={roseCenter.y} r={roseRadius} fill="none" stroke="#6b7280" />
+        <path d={toPath(rose.needle, 1)} fill="#111827" />
+        {rose.letters.map(l => <text key={l.value} x={l.x} y={l.y} textAnchor="middle" dominantBaseline="middle" style={{ fontSize: isExport ? '14px' : '9px', fontWeight: l.value === 'N' ? 'bold' : 'normal' }}>{l.value}</text>)}
+      </g>
+      <g ref={plotRef} transform={`translate(${PADDING - left*scale}, ${PADDING - top*scale})`}>
+        {/* Surroundings */}
+        {COMPASS.map(direction => {
+          const side = compassToScreen(direction, northDirection);
+          const pos = sideLabelPosition(geometry.bounds, side, extents[side] + labelGap / scale);
+          return surroundings[direction] && <Text key={direction} x={pos.x*scale} y={pos.y*scale} transform={`rotate(${pos.angle}, ${pos.x*scale}, ${pos.y*scale})`} textAnchor="middle" dominantBaseline="middle">({surroundings[direction]})</Text>;
+        })}
+
+        {/* Roads and Plot */}
+        {getRoads(inputs).map(road => {
+          const width = parseFloat(road.width) || 0, side = compassToScreen(road.side, northDirection);
+          if (width <= 0) return null;
+          const band = roadBand(geometry.bounds, side, width), pos = sideLabelPosition(geometry.bounds, side, width / 2);
+          return (
+            <g key={road.id}>
+              <rect x={band.minX*scale} y={band.minY*scale} width={(band.maxX-band.minX)*scale} height={(band.maxY-band.minY)*scale} fill="#e5e7eb" stroke="black" />
+              <Text x={pos.x*scale} y={pos.y*scale} transform={`rotate(${pos.angle}, ${pos.x*scale}, ${pos.y*scale})`} textAnchor="middle" dominantBaseline="middle">{road.type || 'Road'} ({formatLength(width, units.length)})</Text>
+            </g>
+          );
+        })}
+        <path d={toPath(geometry.vertices, scale)} fill="#dcfce7" stroke="black" />
+
+        {/* Setback Area */}
+        <path d={`${toPath(geometry.vertices, scale)} ${toPath(geometry.buildable, scale)}`} fillRule="evenodd" fill="#fef9c3" opacity="0.6" />
+
+        {/* Sides Violating the Rule Profile */}
+        {geometry.edges.filter(e => highlightSides.includes(e.side)).map((e, i) => <line key={i} x1={e.a.x*scale} y1={e.a.y*scale} x2={e.b.x*scale} y2={e.b.y*scale} stroke="#dc2626" strokeWidth="4" />)}
+
         {/* Buildable Area */}
-        <rect x={sL*scale} y={sF*scale} width={bW} height={bL} fill="none" stroke="#3b82f6" strokeWidth="1" strokeDasharray="4" />
+        <path d={toPath(geometry.buildable, scale)} fill="none" stroke="#3b82f6" strokeWidth="1" strokeDasharray="4" />
         
         {/* Draggable Items */}
         {Object.entries(items).map(([key, item]) => item.enabled && (
-          <DraggableSVGItem key={key} x={item.position.x * scale} y={item.position.y * scale} onPositionChange={isExport ? ()=>{} : (pos) => onPositionChange(key, { x: pos.x / scale, y: pos.y / scale })} constraints={{x:sL*scale, y:sF*scale, maxX: sL*scale+bW-(item.width*scale), maxY: sF*scale+bL-(item.length*scale)}} >
-            <g style={{ filter: collisionItemKey === key ? 'url(#glow)' : 'none', transition: 'filter 0.2s' }}>
-              <rect width={item.width*scale} height={item.length*scale} fill={key === 'house' ? '#bfdbfe' : '#fef9c3'} stroke={key === 'house' ? '#3b82f6' : '#ca8a04'} strokeWidth="1.5" />
-              <foreignObject width={item.width*scale} height={item.length*scale}><div style={{display:'flex',alignItems:'center',justifyContent:'center',height:'100%',textAlign:'center',padding:'2px',textTransform:'capitalize',fontSize:isExport ? '18px' : '11px', overflow:'hidden'}}>{item.description || key}</div></foreignObject>
+          <DraggableSVGItem key={key} x={item.position.x * scale} y={item.position.y * scale} onPositionChange={(pos) => handleItemDrag(key, item, pos)} onDragStart={() => handleItemDragStart(key)} onDragEnd={handleItemDragEnd} constraints={dragConstraints(item)} disabled={locked} >
+            <g transform={`rotate(${parseFloat(item.rotation) || 0}, ${item.width*scale/2}, ${item.length*scale/2})`} style={{ filter: collisionItemKey === key ? 'url(#glow)' : 'none', transition: 'filter 0.2s' }}>
+              <rect width={item.width*scale} height={item.length*scale} fill={getCategory(item.category).fill} stroke={getCategory(item.category).stroke} strokeWidth="1.5" />
+              {!isExport && selectedKey === key && <rect width={item.width*scale} height={item.length*scale} fill="none" stroke="#2563eb" strokeWidth="3" />}
+              {highlightKeys.includes(key) && <rect width={item.width*scale} height={item.length*scale} fill="none" stroke="#dc2626" strokeWidth="3" strokeDasharray="6 3" />}
+              {/* Rasterisers drop foreignObject content, so exports use plain SVG text. */}
+              {isExport
+                ? <text x={item.width*scale/2} y={item.length*scale/2} textAnchor="middle" dominantBaseline="middle" style={{ fontSize: '18px', textTransform: 'capitalize' }}>{itemLabel(item)}</text>
+                : <foreignObject width={item.width*scale} height={item.length*scale}><div style={{display:'flex',alignItems:'center',justifyContent:'center',height:'100%',textAlign:'center',padding:'2px',textTransform:'capitalize',fontSize:'11px', overflow:'hidden'}}>{itemLabel(item)}</div></foreignObject>}
             </g>
           </DraggableSVGItem>
         ))}
+
+        {/* Dimensions and Measurements */}
+        <g pointerEvents="none">
+          {dims.map((dim, i) => {
+            const shape = dimensionShape(dim, dimensionGap * 0.35);
+            const color = dim.kind === 'measure' ? '#9333ea' : dim.kind === 'clearances' ? '#059669' : '#374151';
+            return (
+              <g key={i} stroke={color} strokeWidth="1">
+                {[shape.line, ...shape.extensions, ...shape.ticks].map(([from, to], j) => <line key={j} x1={from.x*scale} y1={from.y*scale} x2={to.x*scale} y2={to.y*scale} />)}
+                <text x={shape.label.x*scale} y={shape.label.y*scale} transform={`rotate(${shape.angle}, ${shape.label.x*scale}, ${shape.label.y*scale})`} textAnchor="middle" dominantBaseline="middle" stroke="none" fill={color} style={{ fontSize: isExport ? '16px' : '10px' }}>{formatLength(shape.length, units.length)}</text>
+              </g>
+            );
+          })}
+        </g>
+
+        {/* Alignment Guides */}
+        {guides.map(g => g.axis === 'x'
+          ? <line key={`guide-x-${g.value}`} x1={g.value*scale} y1={minY*scale-10} x2={g.value*scale} y2={maxY*scale+10} stroke="#d946ef" strokeWidth="1" strokeDasharray="3 3" pointerEvents="none" />
+          : <line key={`guide-y-${g.value}`} x1={minX*scale-10} y1={g.value*scale} x2={maxX*scale+10} y2={g.value*scale} stroke="#d946ef" strokeWidth="1" strokeDasharray="3 3" pointerEvents="none" />)}
+
+        {/* Boundary Corner Handles */}
+        {!locked && inputs.plotShape === 'polygon' && onVertexChange && geometry.vertices.map((v, i) => (
+          <DraggableSVGItem key={`vertex-${i}`} x={v.x * scale} y={v.y * scale} onPositionChange={(pos) => onVertexChange(i, { x: pos.x / scale, y: pos.y / scale })} onDragStart={onDragStart} onDragEnd={onDragEnd}>
+            <circle r="6" fill="white" stroke="#16a34a" strokeWidth="2" />
+          </DraggableSVGItem>
+        ))}
+
+        {/* Measure Tool */}
+        {!locked && measureMode && <rect x={left*scale-PADDING} y={top*scale-PADDING} width={svgWidth} height={svgHeight} fill="transparent" style={{ cursor: 'crosshair' }} onClick={handleMeasureClick} onMouseMove={e => pending && setPending({ ...pending, to: measurePoint(e) })} />}
+        {pending && <circle cx={pending.from.x*scale} cy={pending.from.y*scale} r="3" fill="#9333ea" pointerEvents="none" />}
       </g>
     </svg>
   );
+
+  if (isExport || !floors) return diagram;
+  return (
+    <div className="w-full">
+      <div className="flex flex-wrap gap-1 mb-2" role="tablist" aria-label="Floor">
+        {floors.map(f => <button key={f.id} role="tab" aria-selected={f.id === activeFloorId} onClick={() => onFloorChange(f.id)} className={`text-sm py-1 px-3 rounded ${f.id === activeFloorId ? 'bg-blue-600 text-white' : 'bg-gray-200'}`}>{f.name}</button>)}
+      </div>
+      {diagram}
+    </div>
+  );
 };
@@ -0,0 +1,30 @@
+import React, { useState, useRef } from 'react';
+import html2canvas from 'html2canvas';
+import ExportableImage from './ExportableImage';
+import { downloadFile, toFileName } from '../utils/download';
+
+// Renders the full report off-screen and saves it as a PNG.
+export default function PngExportButton({ projectName, ...report }) {
+  const [isExporting, setIsExporting] = useState(false);
+  const exportRef = useRef(null);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const canvas = await html2canvas(exportRef.current, { backgroundColor: '#ffffff' });
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      downloadFile(blob, toFileName(projectName, 'png'));
+    } catch (error) {
+      window.alert(`Could not export the image: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <button onClick={handleExport} disabled={isExporting} className="w-full text-xl font-bold bg-blue-600 text-white py-3 rounded-lg disabled:bg-gray-400">{isExporting ? 'Generating...' : 'Export as PNG'}</button>
+      <div style={{ position: 'absolute', left: '-9999px', top: 0 }}><ExportableImage ref={exportRef} projectName={projectName} {...report} /></div>
+    </>
+  );
+}
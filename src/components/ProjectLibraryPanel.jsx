@@ -0,0 +1,62 @@
+import React, { useState, useRef } from 'react';
+
+const Button = ({ className = 'bg-gray-600', ...props }) => <button className={`${className} text-white text-sm py-1 px-2 rounded disabled:bg-gray-400`} {...props} />;
+
+export default function ProjectLibraryPanel({ projects, activeProject, createProject, renameProject, duplicateProject, deleteProject, switchProject, exportProject, importProject, shareProject }) {
+  const fileInputRef = useRef(null);
+  const [shareStatus, setShareStatus] = useState(null);
+
+  const handleCreate = () => {
+    const name = window.prompt('Name for the new project:', 'Untitled Plot');
+    if (name !== null) createProject(name.trim());
+  };
+  const handleRename = () => {
+    const name = window.prompt('Rename project:', activeProject.name);
+    if (name !== null) renameProject(activeProject.id, name);
+  };
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${activeProject.name}"? This cannot be undone.`)) deleteProject(activeProject.id);
+  };
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      await importProject(file);
+    } catch (error) {
+      window.alert(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+  // Falls back to showing the link when the clipboard is unavailable (e.g. over plain http).
+  const handleShare = async () => {
+    let link;
+    try {
+      link = await shareProject();
+      await navigator.clipboard.writeText(link);
+      setShareStatus('Link copied');
+      setTimeout(() => setShareStatus(null), 2000);
+    } catch (error) {
+      if (link) window.prompt('Copy this share link:', link);
+      else window.alert(`Could not create a share link: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <select className="p-2 w-full border rounded-md shadow-sm bg-gray-50" value={activeProject.id} onChange={e => switchProject(e.target.value)}>
+        {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+      </select>
+      <p className="text-xs text-gray-500">Last saved {new Date(activeProject.updatedAt).toLocaleString()}</p>
+      <div className="grid grid-cols-3 gap-2">
+        <Button className="bg-green-600" onClick={handleCreate}>New</Button>
+        <Button onClick={handleRename}>Rename</Button>
+        <Button onClick={() => duplicateProject(activeProject.id)}>Duplicate</Button>
+        <Button onClick={() => exportProject(activeProject.id)}>Export JSON</Button>
+        <Button onClick={() => fileInputRef.current.click()}>Import JSON</Button>
+        <Button className="bg-red-500" onClick={handleDelete}>Delete</Button>
+      </div>
+      {shareProject && <Button className="bg-blue-600 w-full" onClick={handleShare}>{shareStatus || 'Copy Share Link'}</Button>}
+      <input ref={fileInputRef} type="file" accept=".json,application/json" className="hidden" onChange={handleImport} />
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { STANDARD_SCALES } from '../utils/exporters';
+import { PAPER_SIZES } from '../utils/pdf';
+import { buildReport, reportsToPdf } from '../utils/report';
+import { downloadFile, readImageAsJpeg, toFileName } from '../utils/download';
+
+const Field = ({ label, ...props }) => <label className="block text-sm font-medium text-gray-700">{label}<input className="p-2 w-full border rounded-md bg-gray-50" type="text" {...props} /></label>;
+
+const ImageField = ({ label, image, onChange }) => {
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onChange(await readImageAsJpeg(file));
+    } catch (error) {
+      window.alert(`Could not use ${file.name}: ${error.message}`);
+    }
+  };
+  return (
+    <div className="text-sm">
+      <span className="block font-medium text-gray-700 mb-1">{label}</span>
+      <div className="h-16 border rounded-md bg-gray-50 flex items-center justify-center overflow-hidden">{image ? <img src={image.src} alt={label} className="max-h-full max-w-full" /> : <span className="text-gray-400">None</span>}</div>
+      <div className="flex gap-1 mt-1">
+        <label className="flex-1 text-center bg-gray-600 text-white py-1 rounded cursor-pointer">Upload<input type="file" accept="image/*" className="hidden" onChange={handleFile} /></label>
+        <button onClick={() => onChange(null)} disabled={!image} className="flex-1 bg-red-500 text-white py-1 rounded disabled:bg-gray-300">Remove</button>
+      </div>
+    </div>
+  );
+};
+
+// The title block printed on every report page, saved with the project and reused for batch reports.
+export default function ReportTemplatePanel({ report, onChange, project, ruleProfile }) {
+  const [error, setError] = useState(null);
+  const set = (field) => (e) => onChange({ ...report, [field]: e.target.value });
+
+  const handleDownload = () => {
+    try {
+      downloadFile(reportsToPdf([buildReport(project.name, project.state, ruleProfile)]), toFileName(project.name, 'pdf'), 'application/pdf');
+      setError(null);
+    } catch (e) { setError(e.message); }
+  };
+
+  return (
+    <div className="space-y-2">
+      <Field label="Heading" value={report.heading} onChange={set('heading')} />
+      <div className="grid grid-cols-2 gap-2">
+        <Field label="Survey No." value={report.surveyNumber} onChange={set('surveyNumber')} />
+        <Field label="Owner" value={report.owner} onChange={set('owner')} />
+        <Field label="Surveyor" value={report.surveyor} onChange={set('surveyor')} />
+        <Field label="Date" value={report.date} onChange={set('date')} />
+        <label className="text-sm font-medium text-gray-700">Paper
+          <select className="p-2 w-full border rounded-md bg-gray-50" value={report.paper} onChange={set('paper')}>
+            {Object.keys(PAPER_SIZES).map(size => <option key={size} value={size}>{size}</option>)}
+          </select>
+        </label>
+        <label className="text-sm font-medium text-gray-700">Scale 1:
+          <input className="p-2 w-full border rounded-md bg-gray-50 text-right" type="number" min="1" list="report-scales" placeholder="Auto" value={report.scale} onChange={set('scale')} />
+          <datalist id="report-scales">{STANDARD_SCALES.map(s => <option key={s} value={s} />)}</datalist>
+        </label>
+        <ImageField label="Logo" image={report.logo} onChange={logo => onChange({ ...report, logo })} />
+        <ImageField label="Signature" image={report.signature} onChange={signature => onChange({ ...report, signature })} />
+      </div>
+      <p className="text-xs text-gray-500">The logo and signature are not included in share links.</p>
+      <button onClick={handleDownload} className="w-full bg-gray-700 text-white py-2 rounded">Report PDF</button>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
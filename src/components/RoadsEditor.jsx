@@ -0,0 +1,42 @@
+import React from 'react';
+import UnitInput from './UnitInput';
+import { COMPASS, compassLabel } from '../utils/orientation';
+import { lengthLabel } from '../utils/units';
+import { createId } from '../utils/ids';
+
+// Roads along any side of the plot. The primary road decides which side is the front.
+export default function RoadsEditor({ inputs, lengthUnit, onChange }) {
+  const roads = inputs.roads || [];
+  const primaryId = (roads.find(r => r.id === inputs.primaryRoadId) || roads[0] || {}).id;
+
+  const updateRoad = (id, field, value) => onChange({ roads: roads.map(r => r.id === id ? { ...r, [field]: value } : r) });
+  const removeRoad = (id) => {
+    const rest = roads.filter(r => r.id !== id);
+    onChange({ roads: rest, primaryRoadId: id === primaryId ? (rest[0] || {}).id || null : primaryId });
+  };
+  const addRoad = () => {
+    const side = COMPASS.find(d => !roads.some(r => r.side === d)) || 'north';
+    const road = { id: createId('road'), side, width: 20, type: 'Road' };
+    onChange({ roads: [...roads, road], primaryRoadId: primaryId || road.id });
+  };
+
+  return (
+    <div className="space-y-2">
+      {roads.map(road => (
+        <div key={road.id} className="grid grid-cols-[auto,1fr,1fr,auto] gap-1 items-center text-sm">
+          <input type="radio" name="primary-road" title="Primary road (sets the front setback)" checked={road.id === primaryId} onChange={() => onChange({ primaryRoadId: road.id })} />
+          <select value={road.side} onChange={e => updateRoad(road.id, 'side', e.target.value)} className="p-1 border rounded bg-gray-50">
+            {COMPASS.map(d => <option key={d} value={d}>{compassLabel(d)}</option>)}
+          </select>
+          <UnitInput className="p-1 w-full border rounded text-right" unit={lengthUnit} title={`Road width (${lengthLabel(lengthUnit)})`} value={road.width} onValueChange={value => updateRoad(road.id, 'width', value)} />
+          <button onClick={() => removeRoad(road.id)} className="bg-red-500 text-white w-6 h-6 rounded">&times;</button>
+          <span />
+          <input type="text" value={road.type} placeholder="Road type" onChange={e => updateRoad(road.id, 'type', e.target.value)} className="col-span-2 p-1 border rounded" />
+          <span />
+        </div>
+      ))}
+      <button onClick={addRoad} className="w-full bg-green-600 text-white py-1 rounded text-sm">Add Road</button>
+      {roads.length > 0 && <p className="text-xs text-gray-500">The selected road is the primary one; the front setback faces it.</p>}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import PlotDiagramSVG from './PlotDiagramSVG';
+import CalculationsSummary from './CalculationsSummary';
+import CompliancePanel from './CompliancePanel';
+import ExportPanel from './ExportPanel';
+import PngExportButton from './PngExportButton';
+import { usePlotCalculations } from '../hooks/usePlotCalculations';
+import { saveProjectToLibrary } from '../hooks/useProjectLibrary';
+import { saveSharedProfile } from '../hooks/useRuleProfiles';
+import { DEFAULT_PROFILES } from '../utils/bylaws';
+import { readShareLink } from '../utils/share';
+
+const Section = ({ title, children }) => (<details className="p-3 border rounded-lg bg-white shadow-sm" open><summary className="text-lg font-bold cursor-pointer">{title}</summary><div className="mt-4 space-y-4">{children}</div></details>);
+
+function SharedProject({ shared, onClose }) {
+  const { name, state } = shared;
+  const { inputs, surroundings, identificationText, floors, units, dimensions, report } = state;
+  const ruleProfile = shared.ruleProfile || DEFAULT_PROFILES.find(p => p.id === state.ruleProfileId) || DEFAULT_PROFILES[0];
+  const { calculations, compliance } = usePlotCalculations(state, ruleProfile);
+  const [activeFloorId, setActiveFloorId] = useState(null);
+  const activeFloor = floors.find(f => f.id === activeFloorId) || floors[0];
+
+  // The copy is added alongside the existing projects; nothing already saved is replaced.
+  const makeEditableCopy = () => {
+    try {
+      const ruleProfileId = shared.ruleProfile ? saveSharedProfile(shared.ruleProfile) : state.ruleProfileId;
+      saveProjectToLibrary(name, { ...state, ruleProfileId });
+      onClose();
+    } catch (error) {
+      window.alert(`Could not save a copy: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="p-4 bg-gray-100 font-sans min-h-screen">
+      <div className="max-w-screen-2xl mx-auto space-y-4">
+        <div className="p-3 bg-white rounded-lg shadow-sm flex flex-wrap items-center gap-3">
+          <h1 className="text-xl font-bold">{name || 'Shared Plot'}</h1>
+          <span className="text-sm bg-amber-100 text-amber-800 rounded px-2 py-1">Read-only shared plot</span>
+          <div className="ml-auto flex gap-2">
+            <button onClick={makeEditableCopy} className="bg-green-600 text-white py-2 px-3 rounded">Make editable copy</button>
+            <button onClick={onClose} className="bg-gray-600 text-white py-2 px-3 rounded">Open my projects</button>
+          </div>
+        </div>
+        <div className="flex flex-col lg:flex-row gap-6">
+          <div className="w-full lg:w-2/3 p-4 bg-white rounded-lg shadow-md flex items-center justify-center">
+            <PlotDiagramSVG inputs={inputs} items={activeFloor.items} surroundings={surroundings} units={units} dimensions={dimensions} measurements={activeFloor.measurements} highlightKeys={compliance.results.flatMap(r => r.itemKeys)} highlightSides={compliance.results.flatMap(r => r.sides)} floors={floors} activeFloorId={activeFloor.id} onFloorChange={setActiveFloorId} readOnly={true} isExport={false} />
+          </div>
+          <div className="w-full lg:w-1/3 space-y-4">
+            <Section title="Calculations"><CalculationsSummary calculations={calculations} units={units} /></Section>
+            <Section title="Compliance"><CompliancePanel ruleProfile={ruleProfile} compliance={compliance} /></Section>
+            <div className="p-3 bg-white rounded-lg shadow-sm space-y-3">
+              <PngExportButton projectName={name} {...{ inputs, surroundings, calculations, identificationText, compliance, units, dimensions, report }} />
+              <ExportPanel plot={{ inputs, surroundings, dimensions }} floors={floors} activeFloor={activeFloor} lengthUnit={units.length} projectName={name} />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Opens the project carried in a share link without touching the saved library.
+export default function SharedProjectViewer({ hash, onClose }) {
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setShared(null);
+    setError(null);
+    readShareLink(hash).then(result => { if (!cancelled) setShared(result); }, e => { if (!cancelled) setError(e.message); });
+    return () => { cancelled = true; };
+  }, [hash]);
+
+  if (shared) return <SharedProject shared={shared} onClose={onClose} />;
+  return (
+    <div className="p-8 bg-gray-100 font-sans min-h-screen flex flex-col items-center gap-4">
+      {error ? <p className="text-red-600">Could not open the shared plot: {error}</p> : <p className="text-gray-600">Opening shared plot...</p>}
+      {error && <button onClick={onClose} className="bg-gray-600 text-white py-2 px-3 rounded">Open my projects</button>}
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import React, { useState } from 'react';
+import { toLength, fromLength, toArea, fromArea, formatNumber } from '../utils/units';
+
+const CONVERTERS = { length: [toLength, fromLength], area: [toArea, fromArea] };
+
+// A numeric input showing a stored feet/sqft value in the given display unit. The typed text is kept
+// while the field has focus so partial entries like "3." survive the round trip through feet.
+export default function UnitInput({ value, unit, kind = 'length', onValueChange, ...props }) {
+  const [draft, setDraft] = useState(null);
+  const [toDisplay, fromDisplay] = CONVERTERS[kind];
+  const shown = value === '' || value === undefined ? '' : formatNumber(toDisplay(value, unit));
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    setDraft(text);
+    onValueChange(text.trim() === '' || Number.isNaN(parseFloat(text)) ? text : fromDisplay(text, unit));
+  };
+
+  return <input type="number" step="any" value={draft ?? shown} onChange={handleChange} onFocus={() => setDraft(shown)} onBlur={() => setDraft(null)} {...props} />;
+}
@@ -1,92 +1,234 @@
-import { useState, useMemo, useEffect } from 'react';
-
-// ... (checkCollision function remains the same)
-const checkCollision = (item1, item2) => {
-  const rect1 = { x: item1.position.x, y: item1.position.y, width: parseFloat(item1.width) || 0, height: parseFloat(item1.length) || 0 };
-  const rect2 = { x: item2.position.x, y: item2.position.y, width: parseFloat(item2.width) || 0, height: parseFloat(item2.length) || 0 };
-  return rect1.x < rect2.x + rect2.width && rect1.x + rect1.width > rect2.x && rect1.y < rect2.y + rect2.height && rect1.y + rect1.height > rect2.y;
-};
-
-
-const INITIAL_STATE = {
-  inputs: { plotWidth: 60, plotLength: 40, roadWidth: 30, roadType: 'Main Road', northDirection: 'top', setbackFront: 5, setbackBack: 5, setbackLeft: 5, setbackRight: 5 },
-  items: {
-    house: { enabled: true, width: 30, length: 25, description: 'G+2 House', facing: 'north', position: { x: 15, y: 10 } },
-    staircase: { enabled: true, width: 10, length: 6, position: { x: 50, y: 10 } },
-    lift: { enabled: true, width: 6, length: 6, position: { x: 50, y: 18 } },
-    parking: { enabled: true, width: 20, length: 15, position: { x: 15, y: 15 } },
-  },
-  surroundings: { north: "Neighbor's Property", south: "30ft Main Road", east: "Vacant Plot", west: "Park" },
-  identificationText: "Identified through EC Bill & Customer",
-  floors: [{ id: 1, name: 'Ground Floor', grossArea: 1200 }, { id: 2, name: 'FF to 3F', grossArea: 1200 }],
-};
+import { useState, useMemo, useRef } from 'react';
+import { useProjectLibrary } from './useProjectLibrary';
+import { useRuleProfiles } from './useRuleProfiles';
+import { usePlotCalculations } from './usePlotCalculations';
+import { INITIAL_STATE } from '../utils/projectSchema';
+import { STRUCTURE_CATEGORIES, FLOOR_LEVELS, itemLabel, allowedOnLevel, levelsLabel } from '../utils/structures';
+import { createId } from '../utils/ids';
+import { primaryRoad } from '../utils/orientation';
+import { createShareLink } from '../utils/share';
+import { roundLength } from '../utils/units';
+import { nearestValidPosition, nearestValidSize } from '../utils/layout';
+import { getPlotVertices, polygonInsidePolygon, itemVertices, itemsOverlap, boundingBox, rectangleVertices, sidesFromVertices, round } from '../utils/geometry';
 
 export const useAppData = () => {
-  const [appState, setAppState] = useState(() => {
-    try {
-      const savedState = localStorage.getItem('plotDiagramState');
-      return savedState ? JSON.parse(savedState) : INITIAL_STATE;
-    } catch (error) { return INITIAL_STATE; }
-  });
+  const library = useProjectLibrary();
+  const appState = library.activeProject.state;
+  const setAppState = library.setActiveState;
   const [collisionItemKey, setCollisionItemKey] = useState(null);
+  const [rejection, setRejection] = useState(null);
+  // The edit rejected last during a drag; its suggestion is only worked out once the drag ends.
+  const dragRejectionRef = useRef(null);
+  const draggingRef = useRef(false);
 
-  // ... (useEffect for localStorage and calculations useMemo remain the same)
-  useEffect(() => {
-    localStorage.setItem('plotDiagramState', JSON.stringify(appState));
-  }, [appState]);
-
-  const { inputs, items, surroundings, identificationText, floors } = appState;
-
-  const calculations = useMemo(() => {
-    const pW=parseFloat(inputs.plotWidth)||0, pL=parseFloat(inputs.plotLength)||0, sL=parseFloat(inputs.setbackLeft)||0, sR=parseFloat(inputs.setbackRight)||0, sF=parseFloat(inputs.setbackFront)||0, sB=parseFloat(inputs.setbackBack)||0;
-    const plotArea = pW * pL;
-    const buildableWidth = pW - sL - sR;
-    const buildableLength = pL - sF - sB;
-    const buildableArea = buildableWidth * buildableLength;
-    const setbackArea = plotArea - buildableArea;
-    const totalAllowableFloorArea = buildableArea * floors.length;
-    const itemAreas = Object.fromEntries(Object.entries(items).map(([key, item]) => [ `${key}Area`, item.enabled ? (parseFloat(item.width) * parseFloat(item.length)) : 0 ]));
-    const floorCalculations = floors.map((floor, index) => {
-        const gross = parseFloat(floor.grossArea) || 0;
-        const netBua = gross - (index === 0 ? itemAreas.parkingArea : 0) - itemAreas.staircaseArea - itemAreas.liftArea - setbackArea;
-        return { ...floor, netBua: Math.max(0, netBua), ...itemAreas, setbackArea, parkingDeduction: (index === 0 ? itemAreas.parkingArea : 0) };
-    });
-    const totalNetBUA = floorCalculations.reduce((sum, f) => sum + f.netBua, 0);
-    const far = plotArea > 0 ? totalNetBUA / plotArea : 0;
-    return { plotArea, buildableArea, buildableWidth, buildableLength, setbackArea, totalAllowableFloorArea, floorCalculations, totalNetBUA, far, ...itemAreas };
-  }, [inputs, items, floors]);
+  const { inputs, floors } = appState;
+  const [activeFloorId, setActiveFloorId] = useState(null);
+  const activeFloor = floors.find(f => f.id === activeFloorId) || floors[0];
+  const items = useMemo(() => (activeFloor && activeFloor.items) || {}, [activeFloor]);
 
+  const ruleProfiles = useRuleProfiles();
+  const ruleProfile = ruleProfiles.profiles.find(p => p.id === appState.ruleProfileId) || ruleProfiles.profiles[0];
+  const { calculations, formatters, compliance } = usePlotCalculations(appState, ruleProfile);
 
   const setState = (key, value) => setAppState(p => ({...p, [key]: value}));
+  // Points are rounded in the display unit, so grid steps and typed values stay exact in it.
+  const roundPoint = (point) => ({ x: roundLength(point.x, appState.units.length), y: roundLength(point.y, appState.units.length) });
+
+  // Structure edits apply to the floor shown on the diagram.
+  const updateActiveFloor = (update) => setAppState(p => ({ ...p, floors: p.floors.map(f => f.id === activeFloor.id ? { ...f, ...update(f) } : f) }));
+  const setItems = (update) => updateActiveFloor(f => ({ items: update(f.items) }));
+
+  const addMeasurement = (from, to) => updateActiveFloor(f => ({ measurements: [...f.measurements, { id: createId('m'), from: roundPoint(from), to: roundPoint(to) }] }));
+  const removeMeasurement = (id) => updateActiveFloor(f => ({ measurements: f.measurements.filter(m => m.id !== id) }));
+
+  const fitsBuildable = (item) => polygonInsidePolygon(itemVertices(item), calculations.geometry.buildable);
+
+  const overlapping = (key, item) => Object.entries(items).find(([otherKey, other]) => otherKey !== key && other.enabled && itemsOverlap(item, other));
+  const withinBuildableSize = (item) => {
+    const box = boundingBox(itemVertices(item));
+    return box.width <= calculations.buildableWidth + 1e-6 && box.height <= calculations.buildableLength + 1e-6;
+  };
+
+  // A rejected edit is explained, with the closest size or position that would have been accepted.
+  const rejectEdit = (key, candidate, reason, field) => {
+    if (draggingRef.current) {
+      dragRejectionRef.current = { key, candidate, reason, field };
+      setRejection({ key, message: `${itemLabel(items[key])} ${reason}.`, suggestion: null });
+      return;
+    }
+    const isValid = candidate.enabled ? (item) => fitsBuildable(item) && !overlapping(key, item) : withinBuildableSize;
+    const { width, height } = calculations.geometry.buildableBounds, reach = Math.max(width, height);
+    let suggestion = null;
+    if (['width', 'length'].includes(field) && isValid(items[key])) {
+      const size = nearestValidSize(items[key], field, candidate[field], isValid);
+      if (size !== null) suggestion = { label: `Use ${field} ${formatters.length(size)}`, update: { [field]: size } };
+    }
+    if (!suggestion && candidate.enabled) {
+      const position = nearestValidPosition(candidate, isValid, Math.max(parseFloat(appState.snap.grid) || 0.5, reach / 60), reach);
+      if (position) suggestion = { label: `Move to (${formatters.length(position.x)}, ${formatters.length(position.y)})`, update: field ? { [field]: candidate[field], position } : { position } };
+    }
+    setRejection({ key, message: `${itemLabel(items[key])} ${reason}.`, suggestion });
+  };
+
+  const applySuggestion = () => {
+    if (!rejection || !rejection.suggestion) return;
+    const { key, suggestion } = rejection;
+    setItems(current => current[key] ? { ...current, [key]: { ...current[key], ...suggestion.update } } : current);
+    setRejection(null);
+  };
+
+  const dismissRejection = () => setRejection(null);
 
   const handleItemChange = (key, field, value) => {
+    if (field === 'category' && !allowedOnLevel(value, activeFloor.level)) return;
     const updatedItems = { ...items, [key]: { ...items[key], [field]: value } };
     const currentItem = updatedItems[key];
-    if ((field === 'width' && value > calculations.buildableWidth) || (field === 'length' && value > calculations.buildableLength)) return;
-    for (const otherKey in updatedItems) {
-      if (key !== otherKey && updatedItems[otherKey].enabled && checkCollision(currentItem, updatedItems[otherKey])) return;
+    const resized = ['width', 'length', 'rotation'].includes(field);
+    const box = boundingBox(itemVertices(currentItem));
+    if (resized && box.width > calculations.buildableWidth + 1e-6) return rejectEdit(key, currentItem, `would be ${formatters.length(box.width)} wide but the buildable area is only ${formatters.length(calculations.buildableWidth)} wide`, field);
+    if (resized && box.height > calculations.buildableLength + 1e-6) return rejectEdit(key, currentItem, `would be ${formatters.length(box.height)} deep but the buildable area is only ${formatters.length(calculations.buildableLength)} deep`, field);
+    if (currentItem.enabled && resized && !fitsBuildable(currentItem)) return rejectEdit(key, currentItem, 'would extend outside the buildable area', field);
+    const other = currentItem.enabled && overlapping(key, currentItem);
+    if (other) return rejectEdit(key, currentItem, `would overlap ${itemLabel(other[1])}`, field);
+    setRejection(null);
+    setItems(() => updatedItems);
+  };
+
+  const findFreePosition = (item) => {
+    const { minX, minY, maxX, maxY } = calculations.geometry.buildableBounds;
+    for (let y = Math.ceil(minY); y + item.length <= maxY; y++) {
+      for (let x = Math.ceil(minX); x + item.width <= maxX; x++) {
+        const candidate = { ...item, position: { x, y } };
+        if (fitsBuildable(candidate) && !Object.values(items).some(other => other.enabled && itemsOverlap(candidate, other))) return candidate.position;
+      }
+    }
+    return null;
+  };
+
+  // New structures are placed at the first free spot in the buildable area, or added disabled if there is none.
+  const addItem = (category) => {
+    if (!activeFloor) return;
+    const { label, size: [width, length] } = STRUCTURE_CATEGORIES[category] || STRUCTURE_CATEGORIES.other;
+    if (!allowedOnLevel(category, activeFloor.level)) {
+      window.alert(`${label} can only be placed on ${levelsLabel(category)} floors.`);
+      return;
     }
-    setAppState(p => ({ ...p, items: updatedItems }));
+    const { minX, minY } = calculations.geometry.buildableBounds;
+    const item = { category, label, enabled: true, width, length, position: { x: minX, y: minY }, rotation: 0 };
+    if (category === 'house') item.facing = primaryRoad(inputs) ? primaryRoad(inputs).side : 'north';
+    const position = findFreePosition(item);
+    setItems(current => ({ ...current, [createId('s')]: position ? { ...item, position } : { ...item, enabled: false } }));
   };
 
-  const handlePositionChange = (itemName, newPosition) => {
+  // Applies an auto-arranged layout of the active floor's items in one step.
+  const applyLayout = (layout) => {
+    setRejection(null);
+    setItems(current => ({ ...current, ...layout }));
+  };
+
+  const removeItem = (key) => setItems(current => Object.fromEntries(Object.entries(current).filter(([k]) => k !== key)));
+
+  const handlePositionChange = (itemName, position) => {
+    const newPosition = roundPoint(position);
     const currentItem = { ...items[itemName], position: newPosition };
-    for (const key in items) {
-      if (key !== itemName && items[key].enabled && checkCollision(currentItem, items[key])) {
-        setCollisionItemKey(key);
-        setTimeout(() => setCollisionItemKey(null), 500);
-        return;
-      }
+    // Items left outside by a boundary edit may still be dragged back in.
+    if (!fitsBuildable(currentItem) && fitsBuildable(items[itemName])) return rejectEdit(itemName, currentItem, 'would leave the buildable area');
+    const other = overlapping(itemName, currentItem);
+    if (other) {
+      setCollisionItemKey(other[0]);
+      setTimeout(() => setCollisionItemKey(null), 500);
+      return rejectEdit(itemName, currentItem, `would overlap ${itemLabel(other[1])}`);
+    }
+    dragRejectionRef.current = null;
+    setRejection(null);
+    setItems(current => ({ ...current, [itemName]: { ...current[itemName], position: newPosition } }));
+  };
+
+  const nudgeItem = (key, dx, dy) => {
+    const { x, y } = items[key].position;
+    handlePositionChange(key, { x: x + dx, y: y + dy });
+  };
+
+  // Angles are kept in [0, 360) degrees, clockwise.
+  const rotateItem = (key, rotation) => handleItemChange(key, 'rotation', round(((parseFloat(rotation) || 0) % 360 + 360) % 360));
+
+  // New floors start as an upper floor carrying over the structures of the floor below that belong there.
+  const addFloor = () => {
+    const below = floors[floors.length - 1];
+    const carried = Object.values((below && below.items) || {}).filter(item => allowedOnLevel(item.category, 'upper')).map(item => [createId('s'), item]);
+    const floor = { id: Date.now(), name: 'New Floor', level: 'upper', grossArea: '', items: Object.fromEntries(carried), measurements: [] };
+    setState('floors', [...floors, floor]);
+    setActiveFloorId(floor.id);
+  };
+
+  const removeFloor = (id) => {
+    if (floors.length > 1) setState('floors', floors.filter(f => f.id !== id));
+  };
+
+  // Changing a floor's level drops the structures that cannot stay on it, after asking.
+  const handleFloorChange = (id, field, value) => {
+    const floor = floors.find(f => f.id === id);
+    const update = { [field]: value };
+    if (field === 'level') {
+      const misplaced = Object.entries(floor.items).filter(([, item]) => !allowedOnLevel(item.category, value));
+      if (misplaced.length && !window.confirm(`A ${FLOOR_LEVELS[value].toLowerCase()} floor cannot have: ${misplaced.map(([, item]) => itemLabel(item)).join(', ')}. Remove them from "${floor.name}"?`)) return;
+      update.items = Object.fromEntries(Object.entries(floor.items).filter(([, item]) => allowedOnLevel(item.category, value)));
+    }
+    setState('floors', floors.map(f => f.id === id ? { ...f, ...update } : f));
+  };
+
+  const setPlotShape = (plotShape) => {
+    if (plotShape === inputs.plotShape) return;
+    const update = { plotShape };
+    if (plotShape === 'polygon' && !(inputs.sides || []).length && !(inputs.vertices || []).length) {
+      const vertices = rectangleVertices(parseFloat(inputs.plotWidth) || 0, parseFloat(inputs.plotLength) || 0);
+      Object.assign(update, { vertices, sides: sidesFromVertices(vertices) });
     }
-    setAppState(p => ({ ...p, items: { ...p.items, [itemName]: { ...p.items[itemName], position: newPosition } } }));
+    setState('inputs', { ...inputs, ...update });
   };
 
+  // Switching between entry modes carries the current shape across.
+  const setBoundaryMode = (boundaryMode) => {
+    if (boundaryMode === inputs.boundaryMode) return;
+    const vertices = calculations.geometry.vertices.map(roundPoint);
+    setState('inputs', { ...inputs, boundaryMode, ...(boundaryMode === 'sides' ? { sides: sidesFromVertices(vertices) } : { vertices }) });
+  };
+
+  // Dragging a corner on the diagram always edits vertex coordinates.
+  const handleVertexChange = (index, position) => {
+    setAppState(p => {
+      const vertices = getPlotVertices(p.inputs).map((v, i) => i === index ? roundPoint(position) : v);
+      return { ...p, inputs: { ...p.inputs, boundaryMode: 'vertices', vertices } };
+    });
+  };
+
+  const applyRequiredSetbacks = () => {
+    const { front, back, left, right } = compliance.setbacks;
+    setState('inputs', { ...inputs, setbackFront: front.value, setbackBack: back.value, setbackLeft: left.value, setbackRight: right.value });
+  };
+
+  const shareProject = () => createShareLink(library.activeProject, ruleProfile);
+
   const resetData = () => {
-      if (window.confirm("Are you sure you want to reset all data?")) {
-          localStorage.removeItem('plotDiagramState');
+      if (window.confirm(`Are you sure you want to reset all data in "${library.activeProject.name}"?`)) {
           setAppState(INITIAL_STATE);
       }
   };
 
-  return { ...appState, setState, calculations, handleItemChange, handlePositionChange, resetData, collisionItemKey };
+  const { undo, redo, canUndo, canRedo } = library;
+
+  const beginGesture = () => {
+    draggingRef.current = true;
+    library.beginTransaction();
+  };
+
+  const endGesture = () => {
+    draggingRef.current = false;
+    library.endTransaction();
+    const pending = dragRejectionRef.current;
+    dragRejectionRef.current = null;
+    if (pending) rejectEdit(pending.key, pending.candidate, pending.reason, pending.field);
+  };
+
+  return { ...appState, items, activeFloor, setActiveFloor: setActiveFloorId, addFloor, removeFloor, handleFloorChange, addMeasurement, removeMeasurement, setState, calculations, handleItemChange, handlePositionChange, nudgeItem, rotateItem, addItem, removeItem, setPlotShape, setBoundaryMode, handleVertexChange, resetData, collisionItemKey, rejection, applySuggestion, dismissRejection, applyLayout, library, ruleProfiles, ruleProfile, compliance, applyRequiredSetbacks, shareProject, formatters, undo, redo, canUndo, canRedo, beginGesture, endGesture };
 };
@@ -0,0 +1,13 @@
+import { useMemo } from 'react';
+import { calculatePlot } from '../utils/calculations';
+import { evaluateCompliance } from '../utils/bylaws';
+import { unitFormatters } from '../utils/units';
+
+// Areas, FAR and compliance for a project state. Shared by the editor and the read-only viewer.
+export const usePlotCalculations = ({ inputs, floors, units }, ruleProfile) => {
+  const calculations = useMemo(() => calculatePlot({ inputs, floors }), [inputs, floors]);
+  const formatters = useMemo(() => unitFormatters(units), [units]);
+  const compliance = useMemo(() => evaluateCompliance(ruleProfile, { inputs, floors }, calculations, formatters), [ruleProfile, inputs, floors, calculations, formatters]);
+
+  return { calculations, formatters, compliance };
+};
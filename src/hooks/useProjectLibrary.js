@@ -0,0 +1,232 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { INITIAL_STATE, SCHEMA_VERSION, migrateState, parseProjectData, toProjectFile, withoutReportImages, withReportImagesFrom } from '../utils/projectSchema';
+import { createId } from '../utils/ids';
+import { EMPTY_HISTORY, pushHistory, undoHistory, redoHistory } from '../utils/history';
+import { downloadFile, readFileAsText, toFileName } from '../utils/download';
+
+const LIBRARY_KEY = 'plotDiagramLibrary';
+const LEGACY_KEY = 'plotDiagramState';
+const BACKUP_KEY = 'plotDiagramLibraryBackup';
+
+const createProject = (name, state = INITIAL_STATE) => {
+  const now = new Date().toISOString();
+  return { id: createId('p'), name, createdAt: now, updatedAt: now, schemaVersion: SCHEMA_VERSION, state, history: EMPTY_HISTORY };
+};
+
+const uniqueName = (projects, name) => {
+  const names = new Set(projects.map(p => p.name));
+  if (!names.has(name)) return name;
+  let n = 2;
+  while (names.has(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+};
+
+const loadHistory = (history, version) => {
+  try {
+    return { past: (history?.past || []).map(s => migrateState(s, version)), future: (history?.future || []).map(s => migrateState(s, version)) };
+  } catch (error) { return EMPTY_HISTORY; }
+};
+
+const loadProject = (record) => {
+  try {
+    return { ...record, schemaVersion: SCHEMA_VERSION, state: migrateState(record.state, record.schemaVersion), history: loadHistory(record.history, record.schemaVersion) };
+  } catch (error) {
+    console.error(`Could not load project "${record.name}"`, error);
+    return null;
+  }
+};
+
+// Records that cannot be loaded (e.g. saved by a newer version) are kept as they are in `unreadable`
+// and written back on every save. A library that cannot be read at all is kept as raw text in
+// `damaged` so it is not overwritten unasked. The legacy single-plot save is only removed once it has migrated.
+const loadLibrary = () => {
+  let unreadable = [], damaged;
+  const raw = localStorage.getItem(LIBRARY_KEY);
+  try {
+    const saved = JSON.parse(raw);
+    if (saved && Array.isArray(saved.projects)) {
+      const loaded = saved.projects.map(record => [record, loadProject(record)]);
+      const projects = loaded.map(([, project]) => project).filter(Boolean);
+      unreadable = loaded.filter(([, project]) => !project).map(([record]) => record);
+      if (projects.length) return { activeId: projects.some(p => p.id === saved.activeId) ? saved.activeId : projects[0].id, projects, unreadable };
+    } else if (raw !== null) damaged = raw;
+  } catch (error) {
+    console.error('Could not read the project library', error);
+    damaged = raw;
+  }
+
+  let first = createProject('My Plot'), legacyMigrated = false;
+  try {
+    const legacy = localStorage.getItem(LEGACY_KEY);
+    if (legacy) {
+      first = createProject('My Plot', migrateState(JSON.parse(legacy), 1));
+      legacyMigrated = true;
+    }
+  } catch (error) { console.error('Could not migrate the saved plot', error); }
+  return { activeId: first.id, projects: [first], unreadable, legacyMigrated, damaged };
+};
+
+// Backs up a library that could not be read and asks whether it may be replaced.
+const confirmReplaceDamaged = (raw) => {
+  try {
+    localStorage.setItem(BACKUP_KEY, raw);
+  } catch (error) {
+    console.error('Could not back up the project library', error);
+    return window.confirm('The saved project library could not be read, and there is no room to keep a copy of it. Replace it anyway? Its data will be lost.');
+  }
+  return window.confirm(`The saved project library could not be read. A copy has been kept in this browser's storage under "${BACKUP_KEY}". Replace it with the current projects?`);
+};
+
+// History is saved to the same depth it is kept, without report images.
+const savedHistory = ({ past, future } = EMPTY_HISTORY, keep = true) => keep ? { past: past.map(withoutReportImages), future: future.map(withoutReportImages) } : EMPTY_HISTORY;
+
+const toStorage = (lib, keepHistory = true) => JSON.stringify({
+  activeId: lib.activeId,
+  projects: [...lib.projects.map(p => ({ ...p, history: savedHistory(p.history, keepHistory) })), ...(lib.unreadable || [])],
+});
+
+// When storage is full the saved history is dropped before the projects themselves fail to save.
+// Returns false when the history had to be dropped.
+const writeLibrary = (lib) => {
+  try {
+    localStorage.setItem(LIBRARY_KEY, toStorage(lib));
+    return true;
+  } catch (error) {
+    localStorage.setItem(LIBRARY_KEY, toStorage(lib, false));
+    return false;
+  }
+};
+
+const touch = (project) => ({ ...project, updatedAt: new Date().toISOString() });
+
+const mapActive = (lib, update) => ({ ...lib, projects: lib.projects.map(p => p.id === lib.activeId ? update(p) : p) });
+
+// Adds a project to the saved library from outside the editor, e.g. a copy of a shared link, and makes it active.
+export const saveProjectToLibrary = (name, state) => {
+  const library = loadLibrary();
+  if (library.damaged && !confirmReplaceDamaged(library.damaged)) throw new Error('the saved project library could not be read and was left unchanged.');
+  const created = createProject(uniqueName(library.projects, name || 'Shared Plot'), state);
+  writeLibrary({ ...library, activeId: created.id, projects: [...library.projects, created] });
+  return created;
+};
+
+export const useProjectLibrary = () => {
+  const [library, setLibrary] = useState(loadLibrary);
+  // While a gesture (e.g. a drag) is in progress, edits are applied without recording history;
+  // the state from before the gesture is pushed once when it ends.
+  const transactionRef = useRef(null);
+
+  const [saveError, setSaveError] = useState(null);
+  // Whether a library that could not be read may be replaced: null until the user has been asked.
+  const replaceDamagedRef = useRef(null);
+
+  // Saving serializes the whole library, so nothing is written during a gesture; its end saves it.
+  useEffect(() => {
+    if (transactionRef.current) return;
+    if (library.damaged) {
+      if (replaceDamagedRef.current === null) replaceDamagedRef.current = confirmReplaceDamaged(library.damaged);
+      if (!replaceDamagedRef.current) {
+        setSaveError('Changes are not being saved: the saved project library could not be read and has been left as it was.');
+        return;
+      }
+    }
+    try {
+      const historySaved = writeLibrary(library);
+      if (library.legacyMigrated) localStorage.removeItem(LEGACY_KEY);
+      setSaveError(historySaved ? null : 'Undo history is not being saved: the browser storage is full. Undo still works until the page is reloaded.');
+    } catch (error) {
+      console.error('Could not save the project library', error);
+      setSaveError('Changes are not being saved: the browser storage is full or unavailable. Export the projects you need as JSON, then delete some to free space.');
+    }
+  }, [library]);
+
+  const activeProject = library.projects.find(p => p.id === library.activeId) || library.projects[0];
+
+  const updateProject = useCallback((id, update) => setLibrary(lib => ({
+    ...lib,
+    projects: lib.projects.map(p => p.id === id ? touch({ ...p, ...update(p) }) : p),
+  })), []);
+
+  const setActiveState = useCallback((updater) => setLibrary(lib => mapActive(lib, p => {
+    const state = typeof updater === 'function' ? updater(p.state) : updater;
+    if (state === p.state) return p;
+    return touch({ ...p, state, history: transactionRef.current ? p.history : pushHistory(p.history, p.state) });
+  })), []);
+
+  const beginTransaction = useCallback(() => {
+    if (!transactionRef.current) transactionRef.current = { projectId: activeProject.id, snapshot: activeProject.state };
+  }, [activeProject]);
+
+  const endTransaction = useCallback(() => {
+    const transaction = transactionRef.current;
+    transactionRef.current = null;
+    if (!transaction) return;
+    setLibrary(lib => ({
+      ...lib,
+      projects: lib.projects.map(p => p.id === transaction.projectId && p.state !== transaction.snapshot ? { ...p, history: pushHistory(p.history, transaction.snapshot) } : p),
+    }));
+  }, []);
+
+  const undo = useCallback(() => {
+    if (transactionRef.current) return;
+    setLibrary(lib => mapActive(lib, p => {
+      const result = undoHistory(p.history, p.state);
+      return result ? touch({ ...p, ...result, state: withReportImagesFrom(result.state, p.state) }) : p;
+    }));
+  }, []);
+
+  const redo = useCallback(() => {
+    if (transactionRef.current) return;
+    setLibrary(lib => mapActive(lib, p => {
+      const result = redoHistory(p.history, p.state);
+      return result ? touch({ ...p, ...result, state: withReportImagesFrom(result.state, p.state) }) : p;
+    }));
+  }, []);
+
+  const addProject = useCallback((name, state) => {
+    const created = createProject(uniqueName(library.projects, name || 'Untitled Plot'), state);
+    setLibrary(lib => ({ ...lib, activeId: created.id, projects: [...lib.projects, created] }));
+    return created;
+  }, [library.projects]);
+
+  const renameProject = useCallback((id, name) => {
+    if (name && name.trim()) updateProject(id, () => ({ name: name.trim() }));
+  }, [updateProject]);
+
+  const duplicateProject = useCallback((id) => setLibrary(lib => {
+    const source = lib.projects.find(p => p.id === id);
+    if (!source) return lib;
+    const copy = createProject(uniqueName(lib.projects, `${source.name} (copy)`), source.state);
+    return { ...lib, activeId: copy.id, projects: [...lib.projects, copy] };
+  }), []);
+
+  const deleteProject = useCallback((id) => setLibrary(lib => {
+    const projects = lib.projects.filter(p => p.id !== id);
+    if (!projects.length) {
+      const fresh = createProject('My Plot');
+      return { ...lib, activeId: fresh.id, projects: [fresh] };
+    }
+    return { ...lib, activeId: lib.activeId === id ? projects[0].id : lib.activeId, projects };
+  }), []);
+
+  const switchProject = useCallback((id) => setLibrary(lib => lib.projects.some(p => p.id === id) ? { ...lib, activeId: id } : lib), []);
+
+  const exportProject = useCallback((id) => {
+    const project = library.projects.find(p => p.id === id);
+    if (project) downloadFile(JSON.stringify(toProjectFile(project), null, 2), toFileName(project.name, 'json'), 'application/json');
+  }, [library.projects]);
+
+  const importProject = useCallback(async (file) => {
+    const text = await readFileAsText(file);
+    let data;
+    try { data = JSON.parse(text); } catch (error) { throw new Error(`${file.name} is not valid JSON.`); }
+    const { name, state } = parseProjectData(data);
+    return addProject(name || file.name.replace(/\.json$/i, ''), state);
+  }, [addProject]);
+
+  return {
+    projects: library.projects, activeProject, saveError, setActiveState, beginTransaction, endTransaction,
+    undo, redo, canUndo: !!activeProject.history?.past.length, canRedo: !!activeProject.history?.future.length,
+    createProject: addProject, renameProject, duplicateProject, deleteProject, switchProject, exportProject, importProject,
+  };
+};
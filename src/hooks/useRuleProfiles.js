@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_PROFILES, validateProfile } from '../utils/bylaws';
+import { createId } from '../utils/ids';
+
+const PROFILES_KEY = 'plotDiagramRuleProfiles';
+
+const loadProfiles = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if (Array.isArray(saved)) {
+      const profiles = saved.filter(p => { try { return validateProfile(p); } catch (error) { return false; } });
+      if (profiles.length) return profiles;
+    }
+  } catch (error) { console.error('Could not read the rule profiles', error); }
+  return DEFAULT_PROFILES;
+};
+
+// Saves a profile that came with a shared project, unless the same one is already saved. A different
+// profile with the same id is kept as a renamed copy. Returns the id the project should use.
+export const saveSharedProfile = (profile) => {
+  const profiles = loadProfiles();
+  const existing = profiles.find(p => p.id === profile.id);
+  if (existing && JSON.stringify(existing) === JSON.stringify(profile)) return profile.id;
+  const saved = existing ? { ...profile, id: createId('rules-'), name: `${profile.name} (shared)` } : profile;
+  localStorage.setItem(PROFILES_KEY, JSON.stringify([...profiles, saved]));
+  return saved.id;
+};
+
+// Rule profiles are shared by every project in the library; a project only stores the id it uses.
+export const useRuleProfiles = () => {
+  const [profiles, setProfiles] = useState(loadProfiles);
+
+  useEffect(() => {
+    try { localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles)); } catch (error) { console.error('Could not save the rule profiles', error); }
+  }, [profiles]);
+
+  // Parses and validates edited JSON, replacing the profile with the same id. Throws on invalid input.
+  const saveProfile = useCallback((previousId, json) => {
+    let profile;
+    try { profile = JSON.parse(json); } catch (error) { throw new Error(`Invalid JSON: ${error.message}`); }
+    validateProfile(profile);
+    if (profile.id !== previousId && profiles.some(p => p.id === profile.id)) throw new Error(`Another profile already uses the id "${profile.id}".`);
+    setProfiles(list => list.some(p => p.id === previousId) ? list.map(p => p.id === previousId ? profile : p) : [...list, profile]);
+    return profile;
+  }, [profiles]);
+
+  const duplicateProfile = useCallback((id) => {
+    const source = profiles.find(p => p.id === id) || DEFAULT_PROFILES[0];
+    const copy = { ...JSON.parse(JSON.stringify(source)), id: createId('rules-'), name: `${source.name} (copy)` };
+    setProfiles(list => [...list, copy]);
+    return copy;
+  }, [profiles]);
+
+  const deleteProfile = useCallback((id) => setProfiles(list => list.length > 1 ? list.filter(p => p.id !== id) : list), []);
+
+  const restoreDefaults = useCallback(() => setProfiles(list => [...DEFAULT_PROFILES, ...list.filter(p => !DEFAULT_PROFILES.some(d => d.id === p.id))]), []);
+
+  return { profiles, saveProfile, duplicateProfile, deleteProfile, restoreDefaults };
+};
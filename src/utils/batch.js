@@ -0,0 +1,203 @@
+import { getPlotGeometry, polygonInsidePolygon, itemVertices, itemsOverlap } from './geometry';
+import { COMPASS, NORTH_DIRECTIONS, primaryRoad } from './orientation';
+import { fromLength, toLength, formatNumber, lengthLabel } from './units';
+import { suggestLayouts, DEFAULT_LAYOUT_PREFERENCES } from './layout';
+import { itemLabel } from './structures';
+
+// Batch reports: a CSV or JSON list of plots, each turned into a project state built on a template
+// project (its structures, units, rule profile and report template). Rows that cannot be turned
+// into a correct plot are returned with the reasons instead.
+
+// Column → description. Lengths are in the template project's length unit.
+export const BATCH_COLUMNS = {
+  name: 'Plot name',
+  surveyNumber: 'Survey number',
+  owner: 'Owner',
+  surveyor: 'Surveyor (defaults to the template)',
+  date: 'Date (defaults to the template)',
+  plotWidth: 'Plot width',
+  plotLength: 'Plot length',
+  setbackFront: 'Front setback',
+  setbackBack: 'Back setback',
+  setbackLeft: 'Left setback',
+  setbackRight: 'Right setback',
+  roadSide: 'Road side: north, south, east or west (blank for no road)',
+  roadWidth: 'Road width',
+  roadType: 'Road type',
+  northDirection: 'Where north points on the drawing: up, right, down or left (defaults to the template)',
+  north: 'North side surroundings',
+  south: 'South side surroundings',
+  east: 'East side surroundings',
+  west: 'West side surroundings',
+  floors: 'Number of floors (defaults to the template); structures come from the template floors',
+  identificationText: 'Identification note (defaults to the template)',
+};
+
+const MAX_FLOORS = 20;
+const normalize = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+const COLUMN_KEYS = Object.fromEntries(Object.keys(BATCH_COLUMNS).map(key => [normalize(key), key]));
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and line breaks.
+export const parseCsv = (text) => {
+  const rows = [[]];
+  let field = '', quoted = false;
+  const source = text.replace(/^﻿/, '');
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { rows[rows.length - 1].push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      rows[rows.length - 1].push(field);
+      field = '';
+      rows.push([]);
+    } else field += ch;
+  }
+  rows[rows.length - 1].push(field);
+  return rows.filter(row => row.some(cell => cell.trim() !== ''));
+};
+
+const toCsvField = (value) => /[",\n\r]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+export const toCsv = (rows) => rows.map(row => row.map(toCsvField).join(',')).join('\r\n');
+
+// Returns { rows: [{ line, values }], ignoredColumns } where `line` is the row's line (CSV) or position
+// (JSON) for error messages. Throws if the file cannot be read at all.
+export const readBatchFile = (text, fileName = '') => {
+  const trimmed = text.trim();
+  if (/\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let data;
+    try { data = JSON.parse(trimmed); } catch (error) { throw new Error(`Invalid JSON: ${error.message}`); }
+    const list = Array.isArray(data) ? data : data && Array.isArray(data.plots) ? data.plots : null;
+    if (!list) throw new Error('The JSON must be a list of plots or an object with a "plots" list.');
+    const ignored = new Set();
+    const rows = list.map((entry, i) => {
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return { line: i + 1, values: null };
+      const values = {};
+      Object.entries(entry).forEach(([key, value]) => {
+        if (key === 'roads') values.roads = value;
+        else if (COLUMN_KEYS[normalize(key)]) values[COLUMN_KEYS[normalize(key)]] = value === null || value === undefined ? '' : String(value);
+        else ignored.add(key);
+      });
+      return { line: i + 1, values };
+    });
+    return { rows, ignoredColumns: [...ignored] };
+  }
+  const [header, ...lines] = parseCsv(text);
+  if (!header) throw new Error('The file is empty.');
+  const keys = header.map(cell => COLUMN_KEYS[normalize(cell)]);
+  return {
+    rows: lines.map((cells, i) => ({ line: i + 2, values: Object.fromEntries(keys.map((key, j) => [key, (cells[j] || '').trim()]).filter(([key]) => key)) })),
+    ignoredColumns: header.filter((cell, j) => !keys[j] && cell.trim()),
+  };
+};
+
+const COMPASS_ALIASES = { n: 'north', s: 'south', e: 'east', w: 'west' };
+const NORTH_ALIASES = { up: 'top', down: 'bottom', top: 'top', bottom: 'bottom', left: 'left', right: 'right' };
+
+const fitsFloor = (items, geometry) => {
+  const enabled = Object.values(items).filter(item => item.enabled);
+  return enabled.every((item, i) => polygonInsidePolygon(itemVertices(item), geometry.buildable) && enabled.slice(i + 1).every(other => !itemsOverlap(item, other)));
+};
+
+// Floors beyond the template's repeat its last floor.
+const buildFloors = (templateFloors, count) => Array.from({ length: count }, (_, i) => {
+  const source = templateFloors[Math.min(i, templateFloors.length - 1)];
+  const extra = i >= templateFloors.length;
+  const items = extra ? Object.fromEntries(Object.entries(source.items).map(([key, item]) => [`${key.replace(/-f\d+$/, '')}-f${i + 1}`, item])) : source.items;
+  // A typed gross area belongs to the template plot, so every plot uses its own footprint.
+  return { ...source, id: i + 1, name: extra ? `Floor ${i + 1}` : source.name, grossArea: '', measurements: [], items };
+});
+
+// Turns one row into { name, state } or { name, errors }.
+export const buildBatchPlot = ({ line, values }, template) => {
+  if (!values) return { line, name: `Plot ${line}`, errors: ['The entry is not an object.'] };
+  const name = values.name || (values.surveyNumber ? `Survey ${values.surveyNumber}` : `Plot ${line}`);
+  const errors = [];
+  const unit = template.units.length;
+
+  const length = (key, { required = true, positive = false } = {}) => {
+    const raw = (values[key] || '').trim();
+    if (!raw) {
+      if (required) errors.push(`${BATCH_COLUMNS[key]} is missing.`);
+      return 0;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0 || (positive && value === 0)) {
+      errors.push(`${BATCH_COLUMNS[key]} "${raw}" must be a ${positive ? 'positive' : 'non-negative'} number of ${lengthLabel(unit)}.`);
+      return 0;
+    }
+    return fromLength(value, unit);
+  };
+
+  const plotWidth = length('plotWidth', { positive: true }), plotLength = length('plotLength', { positive: true });
+  const setbacks = { setbackFront: length('setbackFront'), setbackBack: length('setbackBack'), setbackLeft: length('setbackLeft'), setbackRight: length('setbackRight') };
+
+  const roadEntries = Array.isArray(values.roads) ? values.roads : values.roadSide || values.roadWidth ? [{ side: values.roadSide, width: values.roadWidth, type: values.roadType }] : [];
+  const roads = roadEntries.map((road, i) => {
+    const rawSide = String((road && road.side) || '').trim().toLowerCase();
+    const side = COMPASS_ALIASES[rawSide] || rawSide;
+    if (!COMPASS.includes(side)) errors.push(`Road side "${rawSide}" must be north, south, east or west.`);
+    const width = Number(road && road.width);
+    if (!(width > 0)) errors.push(`Road width "${(road && road.width) || ''}" must be a positive number of ${lengthLabel(unit)}.`);
+    return { id: `road-${i + 1}`, side, width: fromLength(width, unit), type: String((road && road.type) || 'Road') };
+  });
+
+  const rawNorth = (values.northDirection || '').trim().toLowerCase();
+  const northDirection = rawNorth ? NORTH_ALIASES[rawNorth] : template.inputs.northDirection;
+  if (!northDirection) errors.push(`North direction "${rawNorth}" must be one of ${Object.values(NORTH_DIRECTIONS).join(', ').toLowerCase()}.`);
+
+  const rawFloors = (values.floors || '').trim();
+  const floorCount = rawFloors ? Number(rawFloors) : template.floors.length;
+  if (!Number.isInteger(floorCount) || floorCount < 1 || floorCount > MAX_FLOORS) errors.push(`Floors "${rawFloors}" must be a whole number from 1 to ${MAX_FLOORS}.`);
+
+  if (errors.length) return { line, name, errors };
+
+  const inputs = { ...template.inputs, plotShape: 'rectangle', plotWidth, plotLength, ...setbacks, roads, primaryRoadId: roads.length ? roads[0].id : null, northDirection };
+  const geometry = getPlotGeometry(inputs);
+  if (!geometry.buildable.length) return { line, name, errors: ['The setbacks leave no buildable area.'] };
+
+  // The template's structures are kept where they fit and rearranged otherwise, always at their template sizes.
+  const floors = buildFloors(template.floors, floorCount).map(floor => {
+    if (fitsFloor(floor.items, geometry)) return floor;
+    const [layout] = suggestLayouts(floor.items, geometry, inputs, { ...DEFAULT_LAYOUT_PREFERENCES, maximizeHouse: false });
+    if (!layout) {
+      const enabled = Object.values(floor.items).filter(item => item.enabled).map(itemLabel);
+      errors.push(`${floor.name}: ${enabled.join(', ')} do not fit in the buildable area.`);
+      return floor;
+    }
+    return { ...floor, items: { ...floor.items, ...layout.items } };
+  });
+  if (errors.length) return { line, name, errors };
+
+  const state = {
+    ...template,
+    inputs,
+    floors,
+    surroundings: { north: values.north || '', south: values.south || '', east: values.east || '', west: values.west || '' },
+    identificationText: values.identificationText || template.identificationText,
+    report: { ...template.report, surveyNumber: values.surveyNumber || '', owner: values.owner || '', surveyor: values.surveyor || template.report.surveyor, date: values.date || template.report.date },
+  };
+  return { line, name, state };
+};
+
+// A CSV with the expected header and one example row describing the template project, in its length unit.
+export const batchCsvTemplate = (template) => {
+  const { inputs, report, surroundings } = template;
+  const unit = template.units.length;
+  const length = (feet) => formatNumber(toLength(feet, unit));
+  const { bounds } = getPlotGeometry(inputs);
+  const road = primaryRoad(inputs);
+  const northDirection = Object.keys(NORTH_ALIASES).find(alias => NORTH_ALIASES[alias] === inputs.northDirection);
+  const example = {
+    name: 'Plot 1', surveyNumber: report.surveyNumber, owner: report.owner, surveyor: report.surveyor, date: report.date,
+    plotWidth: length(bounds.width), plotLength: length(bounds.height),
+    setbackFront: length(inputs.setbackFront), setbackBack: length(inputs.setbackBack), setbackLeft: length(inputs.setbackLeft), setbackRight: length(inputs.setbackRight),
+    roadSide: road ? road.side : '', roadWidth: road ? length(road.width) : '', roadType: road ? road.type : '',
+    northDirection, ...surroundings, floors: template.floors.length, identificationText: template.identificationText,
+  };
+  return toCsv([Object.keys(BATCH_COLUMNS), Object.keys(BATCH_COLUMNS).map(key => example[key] ?? '')]);
+};
@@ -0,0 +1,94 @@
+import { parseCsv, toCsv, readBatchFile, buildBatchPlot, batchCsvTemplate } from './batch';
+import { getPlotGeometry, polygonInsidePolygon, itemVertices, itemsOverlap } from './geometry';
+import { fromLength } from './units';
+import { INITIAL_STATE } from './projectSchema';
+
+const HEADER = 'name,plotWidth,plotLength,setbackFront,setbackBack,setbackLeft,setbackRight,roadSide,roadWidth,floors';
+const build = (row, template = INITIAL_STATE) => buildBatchPlot(readBatchFile(`${HEADER}\n${row}`).rows[0], template);
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes, line breaks and CRLF', () => {
+    expect(parseCsv('﻿a,b\r\n"x, y","say ""hi"""\r\n"two\nlines",\r\n\r\n')).toEqual([['a', 'b'], ['x, y', 'say "hi"'], ['two\nlines', '']]);
+  });
+
+  it('round-trips through toCsv', () => {
+    const rows = [['a', 'b, c'], ['"q"', 'line\nbreak']];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+});
+
+describe('readBatchFile', () => {
+  it('matches headers loosely and lists unknown columns', () => {
+    const { rows, ignoredColumns } = readBatchFile('Plot Width,setback_front,Colour\n60,5,red');
+    expect(rows).toEqual([{ line: 2, values: { plotWidth: '60', setbackFront: '5' } }]);
+    expect(ignoredColumns).toEqual(['Colour']);
+  });
+
+  it('reads JSON lists and { plots } objects', () => {
+    expect(readBatchFile('[{"plotWidth": 60}]').rows[0].values).toEqual({ plotWidth: '60' });
+    expect(readBatchFile('{"plots": [{"name": "A"}, 3]}').rows.map(r => r.values)).toEqual([{ name: 'A' }, null]);
+    expect(() => readBatchFile('{"plot": []}')).toThrow('"plots" list');
+  });
+
+  it('reads the CSV template back as a valid plot', () => {
+    const { rows, ignoredColumns } = readBatchFile(batchCsvTemplate(INITIAL_STATE));
+    expect(ignoredColumns).toEqual([]);
+    expect(buildBatchPlot(rows[0], INITIAL_STATE).errors).toBeUndefined();
+  });
+
+  it('writes the template in its own length unit and reads it back unchanged', () => {
+    const inputs = { ...INITIAL_STATE.inputs, plotWidth: fromLength(18, 'm'), plotLength: fromLength(12, 'm'), setbackFront: fromLength(1.5, 'm'), setbackBack: fromLength(1, 'm'), setbackLeft: fromLength(1, 'm'), setbackRight: fromLength(1.2, 'm'), roads: [{ id: 'road-1', side: 'east', width: fromLength(9, 'm'), type: 'Main Road' }], northDirection: 'right' };
+    const template = { ...INITIAL_STATE, inputs, units: { length: 'm', areas: ['sqm'] } };
+    const csv = batchCsvTemplate(template);
+    expect(parseCsv(csv)[1].slice(5, 15)).toEqual(['18', '12', '1.5', '1', '1', '1.2', 'east', '9', 'Main Road', 'right']);
+    const { state, errors } = buildBatchPlot(readBatchFile(csv).rows[0], template);
+    expect(errors).toBeUndefined();
+    ['plotWidth', 'plotLength', 'setbackFront', 'setbackBack', 'setbackLeft', 'setbackRight'].forEach(key => expect(state.inputs[key]).toBeCloseTo(inputs[key], 9));
+    expect(state.inputs.roads[0]).toMatchObject({ side: 'east', type: 'Main Road' });
+    expect(state.inputs.roads[0].width).toBeCloseTo(inputs.roads[0].width, 9);
+    expect(state.inputs.northDirection).toBe('right');
+  });
+});
+
+describe('buildBatchPlot', () => {
+  it('builds a plot on the template, keeping structures that fit', () => {
+    const { state, errors } = build('A,60,40,5,5,5,5,south,30,3');
+    expect(errors).toBeUndefined();
+    expect(state.inputs.roads).toEqual([{ id: 'road-1', side: 'south', width: 30, type: 'Road' }]);
+    expect(state.floors.map(f => f.name)).toEqual(['Ground Floor', 'FF to 3F', 'Floor 3']);
+    expect(Object.keys(state.floors[2].items)).toEqual(['house-f3', 'staircase-f3', 'lift-f3']);
+    expect(state.floors[0].items).toBe(INITIAL_STATE.floors[0].items);
+  });
+
+  it('converts lengths from the template units', () => {
+    const { state } = build('M,20,15,1,1,1,1,,,1', { ...INITIAL_STATE, units: { length: 'm', areas: ['sqm'] }, floors: [{ ...INITIAL_STATE.floors[0], items: {} }] });
+    expect(state.inputs.plotWidth).toBeCloseTo(20 / 0.3048, 9);
+  });
+
+  it('rearranges structures that do not fit, at their template sizes', () => {
+    const { state } = build('Small,45,45,3,3,3,3,north,20,');
+    const geometry = getPlotGeometry(state.inputs);
+    state.floors.forEach((floor, i) => {
+      const items = Object.values(floor.items);
+      items.forEach((item, j) => {
+        expect(polygonInsidePolygon(itemVertices(item), geometry.buildable)).toBe(true);
+        items.slice(j + 1).forEach(other => expect(itemsOverlap(item, other)).toBe(false));
+      });
+      expect(items.map(item => [item.width, item.length])).toEqual(Object.values(INITIAL_STATE.floors[i].items).map(item => [item.width, item.length]));
+    });
+  });
+
+  it('lists every problem with a row', () => {
+    expect(build('Bad,abc,0,,-1,5,5,up,,0').errors).toEqual([
+      'Plot width "abc" must be a positive number of ft.',
+      'Plot length "0" must be a positive number of ft.',
+      'Front setback is missing.',
+      'Back setback "-1" must be a non-negative number of ft.',
+      'Road side "up" must be north, south, east or west.',
+      'Road width "" must be a positive number of ft.',
+      'Floors "0" must be a whole number from 1 to 20.',
+    ]);
+    expect(build('Tight,20,20,10,10,5,5,,,').errors).toEqual(['The setbacks leave no buildable area.']);
+    expect(build('Cramped,25,20,5,5,5,5,east,20,').errors[0]).toMatch(/do not fit in the buildable area/);
+  });
+});
@@ -0,0 +1,187 @@
+import { itemLabel, getCategory } from './structures';
+import { unitFormatters } from './units';
+import { getRoads, primaryRoad, compassLabel } from './orientation';
+
+// A rule profile is plain JSON so it can be edited in the app. Tables (`setbacks`, `roadFrontSetbacks`,
+// `far`, `maxFloors`) are lists of rows; the first row whose conditions match the plot applies.
+// Row conditions: minPlotArea / maxPlotArea (sqft) and minRoadWidth / maxRoadWidth (ft). Profile values
+// are always feet and sqft; reports are formatted in the project's display units.
+export const DEFAULT_PROFILES = [
+  {
+    id: 'generic-residential',
+    name: 'Generic Residential',
+    setbacks: [
+      { maxPlotArea: 1200, front: 3, back: 2, left: 2, right: 2 },
+      { maxPlotArea: 2400, front: 5, back: 3, left: 3, right: 3 },
+      { maxPlotArea: 4800, front: 6, back: 4, left: 4, right: 4 },
+      { front: 10, back: 6, left: 6, right: 6 },
+    ],
+    roadFrontSetbacks: [
+      { minRoadWidth: 60, front: 10 },
+      { minRoadWidth: 40, front: 6 },
+    ],
+    far: [
+      { minRoadWidth: 60, max: 2.5 },
+      { minRoadWidth: 30, max: 2 },
+      { max: 1.5 },
+    ],
+    maxGroundCoverage: 0.65,
+    maxFloors: [
+      { minRoadWidth: 40, max: 5 },
+      { max: 4 },
+    ],
+    minParking: { width: 8, length: 16 },
+    minStaircase: { width: 3.5, length: 8 },
+  },
+  {
+    id: 'small-plot',
+    name: 'Small Plot (up to 1200 sqft)',
+    setbacks: [{ front: 3, back: 1.5, left: 1, right: 1 }],
+    roadFrontSetbacks: [],
+    far: [{ max: 1.75 }],
+    maxGroundCoverage: 0.75,
+    maxFloors: [{ max: 3 }],
+    minParking: null,
+    minStaircase: { width: 3, length: 7 },
+  },
+];
+
+const SIDES = ['front', 'back', 'left', 'right'];
+const TABLES = ['setbacks', 'roadFrontSetbacks', 'far', 'maxFloors'];
+const CONDITIONS = ['minPlotArea', 'maxPlotArea', 'minRoadWidth', 'maxRoadWidth'];
+// What each table's rows must set; a setback row needs at least one of the sides.
+const REQUIRED = { setbacks: SIDES, roadFrontSetbacks: ['front'], far: ['max'], maxFloors: ['max'] };
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Throws with a readable message if the profile cannot be evaluated.
+export const validateProfile = (profile) => {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) throw new Error('A profile must be a JSON object.');
+  if (!profile.id || typeof profile.id !== 'string') throw new Error('"id" must be a non-empty string.');
+  if (!profile.name || typeof profile.name !== 'string') throw new Error('"name" must be a non-empty string.');
+  TABLES.forEach(table => {
+    if (profile[table] === undefined) return;
+    if (!Array.isArray(profile[table])) throw new Error(`"${table}" must be a list of rows.`);
+    profile[table].forEach((row, i) => {
+      if (!row || typeof row !== 'object' || Array.isArray(row)) throw new Error(`"${table}" row ${i + 1} must be an object.`);
+      Object.entries(row).forEach(([key, value]) => {
+        if (!isNumber(value)) throw new Error(`"${table}" row ${i + 1}: "${key}" must be a number.`);
+        if (![...CONDITIONS, ...SIDES, 'max'].includes(key)) throw new Error(`"${table}" row ${i + 1}: unknown field "${key}".`);
+      });
+      if (!REQUIRED[table].some(key => row[key] !== undefined)) throw new Error(`"${table}" row ${i + 1} needs ${REQUIRED[table].map(key => `"${key}"`).join(' or ')}.`);
+    });
+  });
+  if (profile.maxGroundCoverage !== undefined && profile.maxGroundCoverage !== null && !(isNumber(profile.maxGroundCoverage) && profile.maxGroundCoverage > 0 && profile.maxGroundCoverage <= 1)) {
+    throw new Error('"maxGroundCoverage" must be a fraction between 0 and 1.');
+  }
+  ['minParking', 'minStaircase'].forEach(key => {
+    const size = profile[key];
+    if (size === undefined || size === null) return;
+    if (!isNumber(size.width) || !isNumber(size.length)) throw new Error(`"${key}" needs numeric "width" and "length".`);
+  });
+  return profile;
+};
+
+const matches = (row, { plotArea, roadWidth }) => (row.minPlotArea === undefined || plotArea >= row.minPlotArea)
+  && (row.maxPlotArea === undefined || plotArea <= row.maxPlotArea)
+  && (row.minRoadWidth === undefined || roadWidth >= row.minRoadWidth)
+  && (row.maxRoadWidth === undefined || roadWidth <= row.maxRoadWidth);
+
+const pickRow = (rows, context) => (rows || []).find(row => matches(row, context));
+
+const describeRow = (row, fmt) => {
+  const parts = [];
+  if (row.minPlotArea !== undefined) parts.push(`plot ≥ ${fmt.area(row.minPlotArea)}`);
+  if (row.maxPlotArea !== undefined) parts.push(`plot ≤ ${fmt.area(row.maxPlotArea)}`);
+  if (row.minRoadWidth !== undefined) parts.push(`road ≥ ${fmt.length(row.minRoadWidth)}`);
+  if (row.maxRoadWidth !== undefined) parts.push(`road ≤ ${fmt.length(row.maxRoadWidth)}`);
+  return parts.length ? ` (${parts.join(', ')})` : '';
+};
+
+// The minimum setback on each side for this plot, with the row that set it.
+export const requiredSetbacks = (profile, context, fmt = unitFormatters()) => {
+  const row = pickRow(profile.setbacks, context);
+  const roadRow = pickRow(profile.roadFrontSetbacks, context);
+  return Object.fromEntries(SIDES.map(side => {
+    let value = row ? row[side] || 0 : 0, source = row ? `setbacks${describeRow(row, fmt)}` : 'no setback row matched';
+    if (side === 'front' && roadRow && (roadRow.front || 0) > value) {
+      value = roadRow.front;
+      source = `roadFrontSetbacks${describeRow(roadRow, fmt)}`;
+    }
+    return [side, { value, source }];
+  }));
+};
+
+const sizeFits = (item, min) => {
+  const [a, b] = [parseFloat(item.width) || 0, parseFloat(item.length) || 0].sort((x, y) => x - y);
+  const [minA, minB] = [min.width, min.length].sort((x, y) => x - y);
+  return a >= minA && b >= minB;
+};
+
+const checkSizes = (id, title, floors, category, min, fmt) => {
+  if (!min) return [];
+  const matching = floors.flatMap(floor => Object.entries(floor.items || {}).filter(([, item]) => item.enabled && item.category === category).map(([key, item]) => [key, item, floor]));
+  const rule = `${title} at least ${fmt.length(min.width)} × ${fmt.length(min.length)}`;
+  if (!matching.length) return [{ id, rule, status: 'fail', message: `No ${title.toLowerCase()} provided.`, itemKeys: [], sides: [] }];
+  return matching.map(([key, item, floor]) => {
+    const ok = sizeFits(item, min);
+    return { id: `${id}-${key}`, rule, status: ok ? 'pass' : 'fail', message: `${itemLabel(item)} (${floor.name}) is ${fmt.length(item.width)} × ${fmt.length(item.length)}.`, itemKeys: ok ? [] : [key], sides: [] };
+  });
+};
+
+// A house should face one of the roads it opens onto.
+const checkFacing = (floors, roads) => {
+  if (!roads.length) return [];
+  const roadSides = [...new Set(roads.map(road => road.side))];
+  const onRoads = `${roadSides.map(compassLabel).join(' and ')} side${roadSides.length > 1 ? 's' : ''}`;
+  return floors.flatMap(floor => Object.entries(floor.items || {}).filter(([, item]) => item.enabled && item.category === 'house').map(([key, item]) => {
+    const facing = item.facing || 'north';
+    const ok = roadSides.includes(facing);
+    return { id: `facing-${key}`, rule: 'House faces a road', status: ok ? 'pass' : 'fail', message: `${itemLabel(item)} (${floor.name}) faces ${compassLabel(facing)}; roads are on the ${onRoads}.`, itemKeys: ok ? [] : [key], sides: [] };
+  }));
+};
+
+// Upper floors stand on the same ground, so coverage is taken from the largest covered floor plate.
+const groundCoverage = (floors) => floors.map(floor => {
+  const covered = Object.entries(floor.items || {}).filter(([, item]) => item.enabled && getCategory(item.category).covered);
+  return { covered, area: covered.reduce((sum, [, item]) => sum + (parseFloat(item.width) || 0) * (parseFloat(item.length) || 0), 0) };
+}).reduce((max, floor) => floor.area > max.area ? floor : max, { covered: [], area: 0 });
+
+// Returns one entry per rule: { id, rule, status: 'pass' | 'fail', message, itemKeys, sides }.
+export const evaluateCompliance = (profile, { inputs, floors }, calculations, fmt = unitFormatters()) => {
+  const road = primaryRoad(inputs);
+  const context = { plotArea: calculations.plotArea, roadWidth: road ? parseFloat(road.width) || 0 : 0 };
+  const results = [];
+
+  const setbacks = requiredSetbacks(profile, context, fmt);
+  SIDES.forEach(side => {
+    const actual = parseFloat(inputs[`setback${side[0].toUpperCase()}${side.slice(1)}`]) || 0;
+    const { value, source } = setbacks[side];
+    results.push({ id: `setback-${side}`, rule: `${side[0].toUpperCase()}${side.slice(1)} setback ≥ ${fmt.length(value)} — ${source}`, status: actual >= value ? 'pass' : 'fail', message: `Provided ${fmt.length(actual)}.`, itemKeys: [], sides: actual >= value ? [] : [side] });
+  });
+
+  const farRow = pickRow(profile.far, context);
+  if (farRow) {
+    const ok = calculations.far <= farRow.max;
+    results.push({ id: 'far', rule: `FAR ≤ ${farRow.max}${describeRow(farRow, fmt)}`, status: ok ? 'pass' : 'fail', message: `Achieved FAR ${calculations.far.toFixed(2)}.`, itemKeys: [], sides: [] });
+  }
+
+  if (isNumber(profile.maxGroundCoverage)) {
+    const { covered, area: coveredArea } = groundCoverage(floors);
+    const coverage = calculations.plotArea > 0 ? coveredArea / calculations.plotArea : 0;
+    const ok = coverage <= profile.maxGroundCoverage;
+    results.push({ id: 'coverage', rule: `Ground coverage ≤ ${(profile.maxGroundCoverage * 100).toFixed(0)}%`, status: ok ? 'pass' : 'fail', message: `Covered ${fmt.area(coveredArea)} (${(coverage * 100).toFixed(1)}%).`, itemKeys: ok ? [] : covered.map(([key]) => key), sides: [] });
+  }
+
+  const floorRow = pickRow(profile.maxFloors, context);
+  if (floorRow) {
+    const ok = floors.length <= floorRow.max;
+    results.push({ id: 'floors', rule: `Number of floors ≤ ${floorRow.max}${describeRow(floorRow, fmt)}`, status: ok ? 'pass' : 'fail', message: `${floors.length} floor(s) planned.`, itemKeys: [], sides: [] });
+  }
+
+  results.push(...checkFacing(floors, getRoads(inputs)));
+  results.push(...checkSizes('parking', 'Parking', floors, 'parking', profile.minParking, fmt));
+  results.push(...checkSizes('staircase', 'Staircase', floors, 'staircase', profile.minStaircase, fmt));
+
+  return { profileId: profile.id, profileName: profile.name, results, passed: results.every(r => r.status === 'pass'), setbacks };
+};
@@ -0,0 +1,44 @@
+import { DEFAULT_PROFILES, validateProfile, requiredSetbacks, evaluateCompliance } from './bylaws';
+import { calculatePlot } from './calculations';
+import { INITIAL_STATE } from './projectSchema';
+
+const profile = (tables) => ({ id: 'test', name: 'Test', ...tables });
+
+describe('validateProfile', () => {
+  it('accepts the default profiles', () => {
+    DEFAULT_PROFILES.forEach(p => expect(validateProfile(p)).toBe(p));
+  });
+
+  it('requires the value each table row sets', () => {
+    expect(() => validateProfile(profile({ far: [{ minRoadWidth: 0 }] }))).toThrow('"far" row 1 needs "max".');
+    expect(() => validateProfile(profile({ maxFloors: [{ max: 3 }, {}] }))).toThrow('"maxFloors" row 2 needs "max".');
+    expect(() => validateProfile(profile({ setbacks: [{ maxPlotArea: 1200 }] }))).toThrow('"setbacks" row 1 needs "front" or "back" or "left" or "right".');
+    expect(() => validateProfile(profile({ roadFrontSetbacks: [{ minRoadWidth: 40, back: 3 }] }))).toThrow('needs "front"');
+    expect(validateProfile(profile({ setbacks: [{ left: 2 }] }))).toBeTruthy();
+  });
+
+  it('rejects rows that are not objects', () => {
+    expect(() => validateProfile(profile({ far: [null] }))).toThrow('"far" row 1 must be an object.');
+    expect(() => validateProfile(profile({ setbacks: [[3, 2]] }))).toThrow('"setbacks" row 1 must be an object.');
+  });
+
+  it('rejects non-numeric and unknown fields', () => {
+    expect(() => validateProfile(profile({ far: [{ max: '2' }] }))).toThrow('"max" must be a number');
+    expect(() => validateProfile(profile({ far: [{ max: 2, limit: 3 }] }))).toThrow('unknown field "limit"');
+  });
+});
+
+describe('requiredSetbacks', () => {
+  it('takes the first matching row and the larger road front setback', () => {
+    const setbacks = requiredSetbacks(DEFAULT_PROFILES[0], { plotArea: 2400, roadWidth: 60 });
+    expect(Object.fromEntries(Object.entries(setbacks).map(([side, { value }]) => [side, value]))).toEqual({ front: 10, back: 3, left: 3, right: 3 });
+  });
+});
+
+describe('evaluateCompliance', () => {
+  it('checks the default project against the default profile', () => {
+    const results = evaluateCompliance(DEFAULT_PROFILES[0], INITIAL_STATE, calculatePlot(INITIAL_STATE));
+    expect(results.results.every(r => ['pass', 'fail'].includes(r.status))).toBe(true);
+    expect(results.results.find(r => r.id === 'far').rule).toBe('FAR ≤ 2 (road ≥ 30 ft)');
+  });
+});
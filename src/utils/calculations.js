@@ -0,0 +1,26 @@
+import { getCategory, itemLabel, itemArea, floorDeductions } from './structures';
+import { getPlotGeometry, polygonArea } from './geometry';
+
+// Areas and FAR for a project state: the plot, its buildable area and each floor's gross and net built-up area.
+export const calculatePlot = ({ inputs, floors }) => {
+  const geometry = getPlotGeometry(inputs);
+  const plotArea = polygonArea(geometry.vertices);
+  const buildableWidth = geometry.buildableBounds.width;
+  const buildableLength = geometry.buildableBounds.height;
+  const buildableArea = polygonArea(geometry.buildable);
+  const setbackArea = plotArea - buildableArea;
+  const totalAllowableFloorArea = buildableArea * floors.length;
+  // A floor's gross area is its built-up footprint unless one has been typed in.
+  const floorCalculations = floors.map((floor) => {
+    const structures = Object.entries(floor.items || {}).map(([key, item]) => ({ key, label: itemLabel(item), category: item.category, area: itemArea(item), deduction: getCategory(item.category).deduction, builtUp: getCategory(item.category).builtUp }));
+    const footprint = structures.filter(s => s.builtUp).reduce((sum, s) => sum + s.area, 0);
+    const grossOverridden = floor.grossArea !== '' && floor.grossArea !== null && floor.grossArea !== undefined;
+    const grossArea = grossOverridden ? parseFloat(floor.grossArea) || 0 : footprint;
+    const deductions = floorDeductions(structures, floor.level);
+    const netBua = grossArea - deductions.reduce((sum, d) => sum + d.area, 0);
+    return { ...floor, structures, footprint, grossArea, grossOverridden, netBua: Math.max(0, netBua), deductions };
+  });
+  const totalNetBUA = floorCalculations.reduce((sum, f) => sum + f.netBua, 0);
+  const far = plotArea > 0 ? totalNetBUA / plotArea : 0;
+  return { plotArea, buildableArea, buildableWidth, buildableLength, setbackArea, totalAllowableFloorArea, floorCalculations, totalNetBUA, far, geometry };
+};
@@ -0,0 +1,27 @@
+import { calculatePlot } from './calculations';
+import { INITIAL_STATE } from './projectSchema';
+
+const withGroundItems = (items) => ({ ...INITIAL_STATE, floors: [{ ...INITIAL_STATE.floors[0], items: { ...INITIAL_STATE.floors[0].items, ...items } }] });
+const item = (category, width, length, x, y) => ({ category, label: '', enabled: true, width, length, position: { x, y }, rotation: 0 });
+
+describe('calculatePlot', () => {
+  it('derives plot, buildable and floor areas', () => {
+    const { plotArea, buildableArea, floorCalculations } = calculatePlot(INITIAL_STATE);
+    expect(plotArea).toBe(2400);
+    expect(buildableArea).toBe(1500);
+    expect(floorCalculations.map(f => [f.footprint, f.grossArea, f.netBua])).toEqual([[396, 396, 0], [846, 846, 750]]);
+  });
+
+  it('uses a typed gross area instead of the footprint', () => {
+    const floors = [{ ...INITIAL_STATE.floors[1], grossArea: '1000' }];
+    expect(calculatePlot({ ...INITIAL_STATE, floors }).floorCalculations[0]).toMatchObject({ grossArea: 1000, grossOverridden: true, netBua: 904 });
+  });
+
+  it('only deducts structures that are part of the gross area', () => {
+    const [ground] = calculatePlot(withGroundItems({ ramp: item('ramp', 4, 12, 40, 30), sump: item('sump', 6, 6, 30, 30), cabin: item('securityCabin', 6, 6, 5, 30) })).floorCalculations;
+    expect(ground.footprint).toBe(432);
+    expect(ground.deductions.map(d => d.key)).toEqual(['parking', 'staircase', 'lift', 'cabin']);
+    expect(ground.deductions.reduce((sum, d) => sum + d.area, 0)).toBeLessThanOrEqual(ground.footprint);
+    expect(ground.structures.filter(s => !s.builtUp).map(s => s.key)).toEqual(['ramp', 'sump']);
+  });
+});
@@ -0,0 +1,61 @@
+import { distance, itemVertices, closestPoints } from './geometry';
+
+// Which automatic dimensions can be switched on, in the order they are listed in the UI.
+export const DIMENSION_KINDS = {
+  sides: 'Plot sides',
+  setbacks: 'Setbacks',
+  sizes: 'Structure sizes',
+  clearances: 'Clearance to boundary',
+};
+
+// Outward normal of an edge of a clockwise (on screen) outline.
+const outwardNormal = (a, b) => {
+  const len = distance(a, b) || 1;
+  return { x: (b.y - a.y) / len, y: -(b.x - a.x) / len };
+};
+
+// Dimensions in plot feet: { kind, from, to, offset }. `offset` moves the dimension line off the
+// measured edge along its outward normal; `gap` is that distance (about one label height).
+export const collectDimensions = (geometry, items, dimensions = {}, measurements = [], gap = 1) => {
+  const result = [];
+  if (dimensions.sides) geometry.edges.forEach(e => result.push({ kind: 'sides', from: e.a, to: e.b, offset: gap * 1.5 }));
+  if (dimensions.setbacks) ['front', 'back', 'left', 'right'].forEach(side => {
+    const edge = geometry.edges.filter(e => e.side === side && e.setback > 0).sort((e1, e2) => e2.length - e1.length)[0];
+    if (!edge) return;
+    const n = outwardNormal(edge.a, edge.b), mid = { x: (edge.a.x + edge.b.x) / 2, y: (edge.a.y + edge.b.y) / 2 };
+    result.push({ kind: 'setbacks', from: mid, to: { x: mid.x - n.x * edge.setback, y: mid.y - n.y * edge.setback }, offset: 0 });
+  });
+  const enabled = Object.values(items).filter(item => item.enabled);
+  if (dimensions.sizes) enabled.forEach(item => {
+    const [tl, tr, br] = itemVertices(item);
+    result.push({ kind: 'sizes', from: tl, to: tr, offset: -gap * 0.8 }, { kind: 'sizes', from: tr, to: br, offset: -gap * 0.8 });
+  });
+  if (dimensions.clearances && geometry.valid) enabled.forEach(item => {
+    const { from, to, distance: d } = closestPoints(itemVertices(item), geometry.vertices);
+    if (d > 0.01) result.push({ kind: 'clearances', from, to, offset: 0 });
+  });
+  measurements.forEach(m => result.push({ kind: 'measure', from: m.from, to: m.to, offset: 0 }));
+  return result;
+};
+
+// The pieces needed to draw a dimension: the dimension line, extension lines back to the measured
+// points, end ticks and where the label goes.
+export const dimensionShape = ({ from, to, offset }, tick) => {
+  const n = outwardNormal(from, to), len = distance(from, to) || 1;
+  const shift = (p, d) => ({ x: p.x + n.x * d, y: p.y + n.y * d });
+  const start = shift(from, offset), end = shift(to, offset);
+  const along = { x: (to.x - from.x) / len * tick, y: (to.y - from.y) / len * tick };
+  const tickAt = (p) => [{ x: p.x - n.x * tick - along.x, y: p.y - n.y * tick - along.y }, { x: p.x + n.x * tick + along.x, y: p.y + n.y * tick + along.y }];
+  let angle = Math.atan2(to.y - from.y, to.x - from.x) * 180 / Math.PI;
+  // Keep labels readable: horizontal ones left to right, vertical ones bottom to top.
+  if (angle >= 90) angle -= 180;
+  if (angle < -90) angle += 180;
+  return {
+    line: [start, end],
+    extensions: offset ? [[from, shift(from, offset + Math.sign(offset) * tick)], [to, shift(to, offset + Math.sign(offset) * tick)]] : [],
+    ticks: [tickAt(start), tickAt(end)],
+    label: shift({ x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 }, offset + (offset < 0 ? -tick * 1.5 : tick * 1.5)),
+    angle,
+    length: distance(from, to),
+  };
+};
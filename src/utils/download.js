@@ -0,0 +1,44 @@
+export const downloadFile = (content, filename, type = 'application/octet-stream') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+// Reads an image file and re-encodes it as a JPEG of at most `maxSize` pixels a side, flattened onto
+// white, so it can be stored with the project and embedded in PDFs.
+export const readImageAsJpeg = (file, maxSize = 600) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    const k = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * k));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * k));
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    resolve({ src: canvas.toDataURL('image/jpeg', 0.9), width: canvas.width, height: canvas.height });
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The file is not an image this browser can read.'));
+  };
+  image.src = url;
+});
+
+export const toFileName = (name, extension) => `${(name || 'plot').trim().replace(/[^\w-]+/g, '_') || 'plot'}.${extension}`;
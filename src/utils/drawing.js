@@ -0,0 +1,95 @@
+import { getPlotGeometry, boundingBox, itemVertices } from './geometry';
+import { getCategory, itemLabel } from './structures';
+import { formatLength, toLength } from './units';
+import { collectDimensions, dimensionShape } from './dimensions';
+import { COMPASS, getRoads, compassToScreen, roadExtents, roadBand, sideLabelPosition, compassRose } from './orientation';
+
+// A device-independent description of the plot diagram in real units of the project's length unit
+// (y down, like the SVG diagram). The SVG, PDF and DXF writers all render from this, so every export carries the same
+// layers and labels.
+//
+// Entities: { type: 'polygon', layer, points, fill?, stroke?, dashed? }
+//           { type: 'line', layer, from, to, stroke? }
+//           { type: 'text', layer, x, y, value, height, bold?, angle? }   (x, y is the centre of the text;
+//             angle in degrees, clockwise)
+
+const layerName = (name) => name.toUpperCase().replace(/[^A-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'LAYER';
+
+export const buildDrawing = ({ inputs, items, surroundings, dimensions, measurements }, { lengthUnit = 'ft', title = '' } = {}) => {
+  const geometry = getPlotGeometry(inputs);
+  const { bounds } = geometry;
+  const extents = roadExtents(inputs);
+  const textHeight = Math.max(bounds.width + extents.left + extents.right, bounds.height + extents.top + extents.bottom, 1) / 45;
+  const layers = [
+    { name: 'PLOT_BOUNDARY', color: 7 },
+    { name: 'SETBACKS', color: 2 },
+    { name: 'BUILDABLE', color: 5 },
+    { name: 'ROAD', color: 8 },
+    { name: 'ANNOTATIONS', color: 7 },
+    { name: 'DIMENSIONS', color: 3 },
+  ];
+  const entities = [];
+
+  getRoads(inputs).forEach(road => {
+    const width = parseFloat(road.width) || 0, side = compassToScreen(road.side, inputs.northDirection);
+    if (width <= 0) return;
+    const band = roadBand(bounds, side, width);
+    entities.push({ type: 'polygon', layer: 'ROAD', points: [{ x: band.minX, y: band.minY }, { x: band.maxX, y: band.minY }, { x: band.maxX, y: band.maxY }, { x: band.minX, y: band.maxY }], fill: '#e5e7eb', stroke: '#000000' });
+    entities.push({ type: 'text', layer: 'ROAD', ...sideLabelPosition(bounds, side, width / 2), value: `${road.type || 'Road'} (${formatLength(width, lengthUnit)})`, height: Math.min(textHeight, width / 2) });
+  });
+
+  entities.push({ type: 'polygon', layer: 'PLOT_BOUNDARY', points: geometry.vertices, fill: '#dcfce7', stroke: '#000000' });
+  // Edge i of the buildable area is plot edge i moved in by its setback.
+  const { buildable } = geometry;
+  if (buildable.length) {
+    geometry.edges.forEach((e, i) => e.setback > 0 && entities.push({ type: 'line', layer: 'SETBACKS', from: buildable[i], to: buildable[(i + 1) % buildable.length], stroke: '#ca8a04' }));
+    entities.push({ type: 'polygon', layer: 'BUILDABLE', points: buildable, stroke: '#3b82f6', dashed: true });
+  }
+
+  const used = new Set(layers.map(l => l.name));
+  Object.values(items).filter(item => item.enabled).forEach((item, i) => {
+    let name = layerName(`STRUCT_${itemLabel(item)}`);
+    for (let n = 2; used.has(name); n++) name = layerName(`STRUCT_${itemLabel(item)}_${n}`);
+    used.add(name);
+    layers.push({ name, color: (i % 6) + 1 });
+    const category = getCategory(item.category), points = itemVertices(item), box = boundingBox(points);
+    entities.push({ type: 'polygon', layer: name, points, fill: category.fill, stroke: category.stroke });
+    entities.push({ type: 'text', layer: name, x: box.minX + box.width / 2, y: box.minY + box.height / 2, value: itemLabel(item), height: Math.min(textHeight, box.height / 2) });
+  });
+
+  collectDimensions(geometry, items, dimensions, measurements, textHeight).forEach(dim => {
+    const shape = dimensionShape(dim, textHeight * 0.35);
+    [shape.line, ...shape.extensions, ...shape.ticks].forEach(([from, to]) => entities.push({ type: 'line', layer: 'DIMENSIONS', from, to }));
+    entities.push({ type: 'text', layer: 'DIMENSIONS', ...shape.label, value: formatLength(shape.length, lengthUnit), height: textHeight * 0.7, angle: shape.angle });
+  });
+
+  // Surroundings go beyond any road on their side, clear of the side dimensions.
+  const labelGap = textHeight * (dimensions && dimensions.sides ? 3.5 : 1.3);
+  COMPASS.forEach(direction => {
+    const side = compassToScreen(direction, inputs.northDirection);
+    if (surroundings[direction]) entities.push({ type: 'text', layer: 'ANNOTATIONS', ...sideLabelPosition(bounds, side, extents[side] + labelGap), value: `(${surroundings[direction]})`, height: textHeight });
+  });
+  const rose = compassRose({ x: bounds.maxX + extents.right + textHeight * 4, y: bounds.minY - extents.top - textHeight * 4 }, textHeight * 2, inputs.northDirection);
+  entities.push({ type: 'polygon', layer: 'ANNOTATIONS', points: rose.needle, fill: '#111827', stroke: '#111827' });
+  rose.letters.forEach(letter => entities.push({ type: 'text', layer: 'ANNOTATIONS', ...letter, height: textHeight, bold: letter.value === 'N' }));
+
+  // Geometry above is in feet; convert to the output unit.
+  const k = toLength(1, lengthUnit);
+  const convert = (p) => ({ x: p.x * k, y: p.y * k });
+  const converted = entities.map(e => {
+    if (e.type === 'polygon') return { ...e, points: e.points.map(convert) };
+    if (e.type === 'line') return { ...e, from: convert(e.from), to: convert(e.to) };
+    return { ...e, ...convert(e), height: e.height * k };
+  });
+  return { title, units: lengthUnit, layers, entities: converted, bounds: drawingBounds(converted), textHeight: textHeight * k };
+};
+
+// Approximate width of a text entity, for layout in writers without font metrics.
+export const textWidth = (entity) => entity.value.length * entity.height * (entity.bold ? 0.62 : 0.55);
+
+const drawingBounds = (entities) => boundingBox(entities.flatMap(e => {
+  if (e.type === 'polygon') return e.points;
+  if (e.type === 'line') return [e.from, e.to];
+  const half = textWidth(e) / 2;
+  return [{ x: e.x - half, y: e.y - e.height }, { x: e.x + half, y: e.y + e.height }];
+}));
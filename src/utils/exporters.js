@@ -0,0 +1,142 @@
+import { PAPER_SIZES, MM_TO_PT, pdfOps, createPdf } from './pdf';
+
+export const STANDARD_SCALES = [20, 50, 100, 200, 250, 500, 1000, 2000];
+
+// Millimetres per drawing unit.
+const UNIT_MM = { ft: 304.8, m: 1000 };
+const unitMm = (units) => UNIT_MM[units] || UNIT_MM.ft;
+
+const escapeXml = (value) => String(value).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[ch]));
+
+const n = (value) => Math.round(value * 1000) / 1000;
+
+// Standalone SVG sized so that printing it at 100% gives the requested drawing scale.
+export const drawingToSvg = (drawing, { scale = 100 } = {}) => {
+  const { bounds, textHeight } = drawing;
+  const pad = textHeight * 2;
+  const [x, y, w, h] = [bounds.minX - pad, bounds.minY - pad, bounds.width + pad * 2, bounds.height + pad * 2];
+  const mm = unitMm(drawing.units) / scale;
+  const stroke = textHeight * 0.06;
+  const layerGroups = drawing.layers.map(layer => {
+    const body = drawing.entities.filter(e => e.layer === layer.name).map(e => {
+      if (e.type === 'polygon') return `<polygon points="${e.points.map(p => `${n(p.x)},${n(p.y)}`).join(' ')}" fill="${e.fill || 'none'}" stroke="${e.stroke || '#000'}" stroke-width="${n(stroke)}"${e.dashed ? ` stroke-dasharray="${n(stroke * 6)} ${n(stroke * 4)}"` : ''} />`;
+      if (e.type === 'line') return `<line x1="${n(e.from.x)}" y1="${n(e.from.y)}" x2="${n(e.to.x)}" y2="${n(e.to.y)}" stroke="${e.stroke || '#000'}" stroke-width="${n(stroke)}" />`;
+      return `<text x="${n(e.x)}" y="${n(e.y)}" font-size="${n(e.height)}" text-anchor="middle" dominant-baseline="central"${e.bold ? ' font-weight="bold"' : ''}${e.angle ? ` transform="rotate(${n(e.angle)} ${n(e.x)} ${n(e.y)})"` : ''}>${escapeXml(e.value)}</text>`;
+    });
+    return body.length ? `  <g id="${escapeXml(layer.name)}">\n    ${body.join('\n    ')}\n  </g>` : null;
+  }).filter(Boolean);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${n(w * mm)}mm" height="${n(h * mm)}mm" viewBox="${n(x)} ${n(y)} ${n(w)} ${n(h)}" font-family="Helvetica, Arial, sans-serif">`,
+    drawing.title ? `  <title>${escapeXml(drawing.title)}</title>` : null,
+    `  <rect x="${n(x)}" y="${n(y)}" width="${n(w)}" height="${n(h)}" fill="#ffffff" />`,
+    ...layerGroups,
+    '</svg>',
+  ].filter(line => line !== null).join('\n');
+};
+
+const MARGIN_MM = 10;
+const TITLE_BLOCK_MM = 16;
+
+// Millimetres on paper per drawing unit at 1:scale.
+export const paperMm = (drawing, scale) => unitMm(drawing.units) / scale;
+
+// The largest standard scale at which the drawing fits in a box of the given size (mm), or undefined.
+export const fittingScale = (drawing, widthMm, heightMm) => STANDARD_SCALES.find(s => drawing.bounds.width * paperMm(drawing, s) <= widthMm && drawing.bounds.height * paperMm(drawing, s) <= heightMm);
+
+// Content-stream operators for the drawing's entities; `toPage` maps drawing points to page points
+// and `pt` is points per drawing unit.
+export const drawingOps = (drawing, toPage, pt) => drawing.entities.map(e => {
+  if (e.type === 'polygon') return pdfOps.path(e.points.map(toPage), { fill: e.fill, stroke: e.stroke || '#000000', dash: e.dashed ? [4, 2] : null });
+  if (e.type === 'line') return pdfOps.line(toPage(e.from), toPage(e.to), { stroke: e.stroke });
+  // The page's y axis points up, so clockwise drawing angles become counter-clockwise ones.
+  const p = toPage(e), angle = -(e.angle || 0), drop = e.height * pt * 0.35, a = angle * Math.PI / 180;
+  return pdfOps.text(e.value, p.x + drop * Math.sin(a), p.y - drop * Math.cos(a), e.height * pt, { bold: e.bold, align: 'center', angle });
+});
+
+// The page size, orientation and transform that fit the drawing at the given scale, or an error
+// suggesting the largest standard scale that would fit.
+export const layoutOnPaper = (drawing, { paper = 'A3', scale = 100 }) => {
+  const [pw, ph] = PAPER_SIZES[paper] || PAPER_SIZES.A3;
+  const mm = paperMm(drawing, scale);
+  const needW = drawing.bounds.width * mm, needH = drawing.bounds.height * mm;
+  const [pageW, pageH] = needW > needH ? [Math.max(pw, ph), Math.min(pw, ph)] : [pw, ph];
+  const availW = pageW - MARGIN_MM * 2, availH = pageH - MARGIN_MM * 2 - TITLE_BLOCK_MM;
+  if (needW > availW || needH > availH) {
+    const fits = fittingScale(drawing, availW, availH);
+    throw new Error(`At 1:${scale} the drawing needs ${needW.toFixed(0)} × ${needH.toFixed(0)} mm, which does not fit on ${paper}.${fits ? ` Try 1:${fits}.` : ''}`);
+  }
+  const originX = MARGIN_MM + (availW - needW) / 2, originY = MARGIN_MM + TITLE_BLOCK_MM + (availH - needH) / 2;
+  // Drawing y points down; PDF y points up.
+  const toPage = (p) => ({ x: (originX + (p.x - drawing.bounds.minX) * mm) * MM_TO_PT, y: (originY + (drawing.bounds.maxY - p.y) * mm) * MM_TO_PT });
+  return { pageW, pageH, mm, toPage };
+};
+
+// Draws the drawing entities onto a page; returns the content stream.
+export const drawingPageContent = (drawing, { paper = 'A3', scale = 100 }, footer = []) => {
+  const { pageW, pageH, mm, toPage } = layoutOnPaper(drawing, { paper, scale });
+  const pt = mm * MM_TO_PT;
+  const ops = drawingOps(drawing, toPage, pt);
+
+  // Title block with a scale bar ten drawing units long.
+  const left = MARGIN_MM * MM_TO_PT, bottom = MARGIN_MM * MM_TO_PT, right = (pageW - MARGIN_MM) * MM_TO_PT;
+  ops.push(pdfOps.path([{ x: left, y: bottom }, { x: right, y: bottom }, { x: right, y: bottom + (TITLE_BLOCK_MM - 4) * MM_TO_PT }, { x: left, y: bottom + (TITLE_BLOCK_MM - 4) * MM_TO_PT }], { stroke: '#000000' }));
+  ops.push(pdfOps.text(drawing.title || 'Plot Diagram', left + 8, bottom + 20, 12, { bold: true }));
+  ops.push(pdfOps.text([`Scale 1:${scale} on ${paper}`, `Units: ${drawing.units}`, ...footer].join('   '), left + 8, bottom + 7, 8));
+  const barLength = 10 * pt, barX = right - barLength - 12, barY = bottom + 12;
+  ops.push(pdfOps.line({ x: barX, y: barY }, { x: barX + barLength, y: barY }, { lineWidth: 1.5 }));
+  [0, barLength].forEach(dx => ops.push(pdfOps.line({ x: barX + dx, y: barY - 3 }, { x: barX + dx, y: barY + 3 })));
+  ops.push(pdfOps.text(`10 ${drawing.units}`, barX + barLength / 2, barY + 5, 7, { align: 'center' }));
+  return { width: pageW * MM_TO_PT, height: pageH * MM_TO_PT, content: ops.filter(Boolean).join('\n') };
+};
+
+// One page per drawing (pass an array for several floors).
+export const drawingToPdf = (drawings, options) => createPdf([].concat(drawings).map(drawing => drawingPageContent(drawing, options)));
+
+// DXF R12 (AC1009), which every CAD package reads. Coordinates are written in real plot units with
+// y flipped to point up.
+const dxfText = (value) => Array.from(String(value)).map(ch => ch.charCodeAt(0) < 128 ? ch : `\\U+${ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`).join('');
+
+export const drawingToDxf = (drawing) => {
+  const out = [];
+  const pair = (code, value) => out.push(String(code), String(value));
+  const point = (p, base = 10) => { pair(base, n(p.x)); pair(base + 10, n(-p.y)); pair(base + 20, 0); };
+  const { bounds } = drawing;
+
+  pair(0, 'SECTION'); pair(2, 'HEADER');
+  pair(9, '$ACADVER'); pair(1, 'AC1009');
+  pair(9, '$INSUNITS'); pair(70, drawing.units === 'm' ? 6 : 2);
+  pair(9, '$MEASUREMENT'); pair(70, drawing.units === 'm' ? 1 : 0);
+  pair(9, '$EXTMIN'); point({ x: bounds.minX, y: bounds.maxY });
+  pair(9, '$EXTMAX'); point({ x: bounds.maxX, y: bounds.minY });
+  pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION'); pair(2, 'TABLES');
+  pair(0, 'TABLE'); pair(2, 'LTYPE'); pair(70, 2);
+  pair(0, 'LTYPE'); pair(2, 'CONTINUOUS'); pair(70, 0); pair(3, 'Solid line'); pair(72, 65); pair(73, 0); pair(40, 0);
+  pair(0, 'LTYPE'); pair(2, 'DASHED'); pair(70, 0); pair(3, '__ __ __'); pair(72, 65); pair(73, 2); pair(40, 0.75); pair(49, 0.5); pair(49, -0.25);
+  pair(0, 'ENDTAB');
+  pair(0, 'TABLE'); pair(2, 'LAYER'); pair(70, drawing.layers.length);
+  drawing.layers.forEach(layer => { pair(0, 'LAYER'); pair(2, layer.name); pair(70, 0); pair(62, layer.color); pair(6, layer.name === 'BUILDABLE' ? 'DASHED' : 'CONTINUOUS'); });
+  pair(0, 'ENDTAB');
+  pair(0, 'ENDSEC');
+
+  pair(0, 'SECTION'); pair(2, 'ENTITIES');
+  drawing.entities.forEach(e => {
+    if (e.type === 'polygon') {
+      pair(0, 'POLYLINE'); pair(8, e.layer); pair(66, 1); pair(70, 1); point({ x: 0, y: 0 });
+      e.points.forEach(p => { pair(0, 'VERTEX'); pair(8, e.layer); point(p); });
+      pair(0, 'SEQEND'); pair(8, e.layer);
+    } else if (e.type === 'line') {
+      pair(0, 'LINE'); pair(8, e.layer); point(e.from); point(e.to, 11);
+    } else {
+      pair(0, 'TEXT'); pair(8, e.layer); point(e); pair(40, n(e.height)); pair(1, dxfText(e.value));
+      if (e.angle) pair(50, n(-e.angle));
+      pair(72, 1); pair(73, 2); point(e, 11);
+    }
+  });
+  pair(0, 'ENDSEC');
+  pair(0, 'EOF');
+  return out.join('\n') + '\n';
+};
+
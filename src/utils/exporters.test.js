@@ -0,0 +1,44 @@
+import { drawingToDxf } from './exporters';
+import { buildDrawing } from './drawing';
+import { INITIAL_STATE } from './projectSchema';
+
+// The DXF's entities as { type, layer, points } from its group code/value pairs.
+const dxfEntities = (dxf) => {
+  const lines = dxf.split('\n'), pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) pairs.push([lines[i].trim(), lines[i + 1]]);
+  const section = pairs.slice(pairs.findIndex(([code, value]) => code === '2' && value === 'ENTITIES'));
+  const entities = [];
+  section.forEach(([code, value]) => {
+    if (code === '0') entities.push({ type: value, points: [] });
+    else if (code === '8') entities[entities.length - 1].layer = value;
+    else if (code === '10' || code === '11') entities[entities.length - 1].points.push({ x: Number(value) });
+    else if (code === '20' || code === '21') entities[entities.length - 1].points[entities[entities.length - 1].points.length - 1].y = -Number(value) || 0;
+  });
+  return entities;
+};
+
+const drawing = (inputs) => buildDrawing({ ...INITIAL_STATE, inputs: { ...INITIAL_STATE.inputs, ...inputs }, items: {} });
+
+describe('drawingToDxf', () => {
+  it('puts the setback lines on SETBACKS and the plot edges on PLOT_BOUNDARY', () => {
+    const entities = dxfEntities(drawingToDxf(drawing({ setbackFront: 10, setbackBack: 5, setbackLeft: 3, setbackRight: 0 })));
+    const setbacks = entities.filter(e => e.layer === 'SETBACKS');
+    expect(setbacks.every(e => e.type === 'LINE')).toBe(true);
+    // The road is on the south (bottom) side, so the front setback line runs 10 ft above the bottom edge
+    // and, seen from the road, the left edge is the east one.
+    expect(setbacks.map(e => e.points)).toEqual([
+      [{ x: 0, y: 5 }, { x: 57, y: 5 }],
+      [{ x: 57, y: 5 }, { x: 57, y: 30 }],
+      [{ x: 57, y: 30 }, { x: 0, y: 30 }],
+    ]);
+    const boundary = entities.filter(e => e.layer === 'PLOT_BOUNDARY' && e.type === 'VERTEX').map(e => e.points[0]);
+    expect(boundary).toEqual([{ x: 0, y: 0 }, { x: 60, y: 0 }, { x: 60, y: 40 }, { x: 0, y: 40 }]);
+    const buildable = entities.filter(e => e.layer === 'BUILDABLE' && e.type === 'VERTEX').map(e => e.points[0]);
+    expect(buildable).toEqual([{ x: 0, y: 5 }, { x: 57, y: 5 }, { x: 57, y: 30 }, { x: 0, y: 30 }]);
+  });
+
+  it('leaves SETBACKS empty when there is no buildable area', () => {
+    const entities = dxfEntities(drawingToDxf(drawing({ setbackFront: 30, setbackBack: 30 })));
+    expect(entities.filter(e => ['SETBACKS', 'BUILDABLE'].includes(e.layer))).toEqual([]);
+  });
+});
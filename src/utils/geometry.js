@@ -0,0 +1,191 @@
+import { frontSide } from './orientation';
+
+// Plot geometry in plot units (feet). Coordinates follow the SVG convention: x to the right, y down,
+// with the top edge of a rectangular plot along y = 0.
+const EPSILON = 1e-6;
+
+const num = (value) => parseFloat(value) || 0;
+
+export const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const signedArea = (points) => points.reduce((sum, p, i) => {
+  const q = points[(i + 1) % points.length];
+  return sum + p.x * q.y - q.x * p.y;
+}, 0) / 2;
+
+export const polygonArea = (points) => points.length < 3 ? 0 : Math.abs(signedArea(points));
+
+// Orders the vertices clockwise on screen (positive shoelace area with y pointing down).
+export const normalizeWinding = (points) => signedArea(points) < 0 ? [...points].reverse() : points;
+
+export const boundingBox = (points) => {
+  if (!points.length) return { minX: 0, minY: 0, maxX: 0, maxY: 0, width: 0, height: 0 };
+  const xs = points.map(p => p.x), ys = points.map(p => p.y);
+  const minX = Math.min(...xs), minY = Math.min(...ys), maxX = Math.max(...xs), maxY = Math.max(...ys);
+  return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+};
+
+export const rectangleVertices = (width, length, x = 0, y = 0) => [{ x, y }, { x: x + width, y }, { x: x + width, y: y + length }, { x, y: y + length }];
+
+export const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+// Bearings are measured clockwise from the top of the drawing (north when north points up).
+export const traverseSides = (sides) => {
+  const vertices = [{ x: 0, y: 0 }];
+  sides.forEach(({ length, bearing }) => {
+    const last = vertices[vertices.length - 1], angle = num(bearing) * Math.PI / 180;
+    vertices.push({ x: round(last.x + num(length) * Math.sin(angle), 4), y: round(last.y - num(length) * Math.cos(angle), 4) });
+  });
+  const end = vertices.pop();
+  return { vertices, closureError: sides.length ? distance(end, vertices[0]) : 0 };
+};
+
+export const sidesFromVertices = (vertices) => vertices.map((a, i) => {
+  const b = vertices[(i + 1) % vertices.length];
+  const bearing = (Math.atan2(b.x - a.x, -(b.y - a.y)) * 180 / Math.PI + 360) % 360;
+  return { length: round(distance(a, b)), bearing: round(bearing) };
+});
+
+// Turns a direction so that the given side of the drawing points up.
+const FRONT_ROTATIONS = {
+  top: (x, y) => [x, y],
+  right: (x, y) => [y, -x],
+  bottom: (x, y) => [-x, -y],
+  left: (x, y) => [-y, x],
+};
+
+// Which setback applies to an edge, from the direction its outward normal points in relative to the
+// side of the drawing that faces the primary road.
+const edgeSide = (a, b, front = 'top') => {
+  const [nx, ny] = (FRONT_ROTATIONS[front] || FRONT_ROTATIONS.top)(b.y - a.y, -(b.x - a.x));
+  if (Math.abs(ny) >= Math.abs(nx)) return ny < 0 ? 'front' : 'back';
+  return nx < 0 ? 'left' : 'right';
+};
+
+const lineIntersection = (p, d, q, e) => {
+  const cross = d.x * e.y - d.y * e.x;
+  if (Math.abs(cross) < EPSILON) return null;
+  const t = ((q.x - p.x) * e.y - (q.y - p.y) * e.x) / cross;
+  return { x: p.x + d.x * t, y: p.y + d.y * t };
+};
+
+const segmentsCross = (a, b, c, d) => {
+  const orient = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+  const o1 = orient(a, b, c), o2 = orient(a, b, d), o3 = orient(c, d, a), o4 = orient(c, d, b);
+  return ((o1 > EPSILON && o2 < -EPSILON) || (o1 < -EPSILON && o2 > EPSILON)) && ((o3 > EPSILON && o4 < -EPSILON) || (o3 < -EPSILON && o4 > EPSILON));
+};
+
+export const isSimplePolygon = (points) => {
+  const n = points.length;
+  if (n < 3) return false;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (j === i + 1 || (i === 0 && j === n - 1)) continue;
+      if (segmentsCross(points[i], points[(i + 1) % n], points[j], points[(j + 1) % n])) return false;
+    }
+  }
+  return true;
+};
+
+// Moves every edge inward by its own distance and joins the shifted edges. Returns [] when the
+// setbacks swallow the plot.
+export const offsetPolygon = (points, distances) => {
+  const n = points.length;
+  const lines = points.map((a, i) => {
+    const b = points[(i + 1) % n], len = distance(a, b) || 1;
+    const d = { x: (b.x - a.x) / len, y: (b.y - a.y) / len };
+    return { p: { x: a.x - d.y * distances[i], y: a.y + d.x * distances[i] }, d };
+  });
+  const result = lines.map((line, i) => {
+    const prev = lines[(i - 1 + n) % n];
+    return lineIntersection(prev.p, prev.d, line.p, line.d) || line.p;
+  });
+  return signedArea(result) > EPSILON && isSimplePolygon(result) ? result : [];
+};
+
+const onSegment = (p, a, b) => {
+  const cross = (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+  if (Math.abs(cross) > EPSILON * Math.max(1, distance(a, b))) return false;
+  return p.x >= Math.min(a.x, b.x) - EPSILON && p.x <= Math.max(a.x, b.x) + EPSILON && p.y >= Math.min(a.y, b.y) - EPSILON && p.y <= Math.max(a.y, b.y) + EPSILON;
+};
+
+// Points on the boundary count as inside.
+export const pointInPolygon = (p, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i], b = points[j];
+    if (onSegment(p, a, b)) return true;
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+};
+
+// True when `inner` lies within `outer`, touching allowed.
+export const polygonInsidePolygon = (inner, outer) => {
+  if (outer.length < 3) return false;
+  if (!inner.every(p => pointInPolygon(p, outer))) return false;
+  const strictlyInside = (p) => pointInPolygon(p, inner) && !inner.some((a, i) => onSegment(p, a, inner[(i + 1) % inner.length]));
+  if (outer.some(strictlyInside)) return false;
+  return !inner.some((a, i) => outer.some((c, j) => segmentsCross(a, inner[(i + 1) % inner.length], c, outer[(j + 1) % outer.length])));
+};
+
+// An item's corners. `position` is the top-left corner before rotation; items turn clockwise by
+// `rotation` degrees about their centre.
+export const itemVertices = (item) => {
+  const w = num(item.width), l = num(item.length), x = num(item.position.x), y = num(item.position.y);
+  const corners = rectangleVertices(w, l, x, y);
+  const angle = num(item.rotation) * Math.PI / 180;
+  if (!angle) return corners;
+  const cx = x + w / 2, cy = y + l / 2, cos = Math.cos(angle), sin = Math.sin(angle);
+  return corners.map(p => ({ x: cx + (p.x - cx) * cos - (p.y - cy) * sin, y: cy + (p.x - cx) * sin + (p.y - cy) * cos }));
+};
+
+// Separating-axis test for convex polygons. Shapes that only touch do not overlap.
+export const convexPolygonsOverlap = (a, b) => [a, b].every(poly => poly.every((p, i) => {
+  const q = poly[(i + 1) % poly.length];
+  const axis = { x: q.y - p.y, y: p.x - q.x };
+  const project = (points) => points.map(v => v.x * axis.x + v.y * axis.y);
+  const pa = project(a), pb = project(b);
+  const tolerance = EPSILON * Math.hypot(axis.x, axis.y);
+  return Math.max(...pa) - Math.min(...pb) > tolerance && Math.max(...pb) - Math.min(...pa) > tolerance;
+}));
+
+export const itemsOverlap = (item1, item2) => convexPolygonsOverlap(itemVertices(item1), itemVertices(item2));
+
+export const closestPointOnSegment = (p, a, b) => {
+  const dx = b.x - a.x, dy = b.y - a.y, len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+  return { x: a.x + dx * t, y: a.y + dy * t };
+};
+
+// The nearest pair of points between two polygon outlines, as { from (on a), to (on b), distance }.
+export const closestPoints = (a, b) => {
+  let best = { from: a[0], to: b[0], distance: Infinity };
+  const consider = (from, to) => {
+    const d = distance(from, to);
+    if (d < best.distance) best = { from, to, distance: d };
+  };
+  a.forEach(p => b.forEach((c, j) => consider(p, closestPointOnSegment(p, c, b[(j + 1) % b.length]))));
+  b.forEach(p => a.forEach((c, i) => consider(closestPointOnSegment(p, c, a[(i + 1) % a.length]), p)));
+  return best;
+};
+
+export const getPlotVertices = (inputs) => {
+  if (inputs.plotShape !== 'polygon') return rectangleVertices(num(inputs.plotWidth), num(inputs.plotLength));
+  const vertices = inputs.boundaryMode === 'sides' ? traverseSides(inputs.sides || []).vertices : (inputs.vertices || []).map(v => ({ x: num(v.x), y: num(v.y) }));
+  return normalizeWinding(vertices);
+};
+
+export const getPlotGeometry = (inputs) => {
+  const vertices = getPlotVertices(inputs);
+  const setbacks = { front: num(inputs.setbackFront), back: num(inputs.setbackBack), left: num(inputs.setbackLeft), right: num(inputs.setbackRight) };
+  const front = frontSide(inputs);
+  const edges = vertices.map((a, i) => {
+    const b = vertices[(i + 1) % vertices.length], side = edgeSide(a, b, front);
+    return { a, b, side, setback: setbacks[side], length: distance(a, b) };
+  });
+  const valid = vertices.length >= 3 && isSimplePolygon(vertices);
+  const buildable = valid ? offsetPolygon(vertices, edges.map(e => e.setback)) : [];
+  const closureError = inputs.plotShape === 'polygon' && inputs.boundaryMode === 'sides' ? traverseSides(inputs.sides || []).closureError : 0;
+  return { vertices, edges, buildable, valid, closureError, bounds: boundingBox(vertices), buildableBounds: boundingBox(buildable) };
+};
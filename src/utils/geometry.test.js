@@ -0,0 +1,65 @@
+import { offsetPolygon, polygonInsidePolygon, polygonArea, itemVertices, itemsOverlap, rectangleVertices, getPlotGeometry } from './geometry';
+
+const rounded = (points) => points.map(p => ({ x: Math.round(p.x * 1e6) / 1e6, y: Math.round(p.y * 1e6) / 1e6 }));
+
+describe('offsetPolygon', () => {
+  it('moves each edge of a rectangle inward by its own distance', () => {
+    // Edges run top, right, bottom, left.
+    expect(rounded(offsetPolygon(rectangleVertices(60, 40), [5, 2, 10, 3]))).toEqual([{ x: 3, y: 5 }, { x: 58, y: 5 }, { x: 58, y: 30 }, { x: 3, y: 30 }]);
+  });
+
+  it('offsets slanted edges along their normals', () => {
+    // A 30-40-50 triangle has an inradius of 10, so an even 2 ft setback scales it by 0.8.
+    const triangle = [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 0, y: 30 }];
+    const inner = offsetPolygon(triangle, [2, 2, 2]);
+    expect(inner).toHaveLength(3);
+    expect(polygonArea(inner)).toBeCloseTo(600 * 0.64, 6);
+  });
+
+  it('returns nothing when the setbacks swallow the plot', () => {
+    expect(offsetPolygon(rectangleVertices(20, 10), [6, 6, 6, 6])).toEqual([]);
+  });
+});
+
+describe('polygonInsidePolygon', () => {
+  const outer = rectangleVertices(50, 30, 5, 5);
+
+  it('accepts polygons inside or touching the boundary', () => {
+    expect(polygonInsidePolygon(rectangleVertices(10, 10, 20, 10), outer)).toBe(true);
+    expect(polygonInsidePolygon(rectangleVertices(50, 30, 5, 5), outer)).toBe(true);
+  });
+
+  it('rejects polygons crossing the boundary', () => {
+    expect(polygonInsidePolygon(rectangleVertices(10, 10, 50, 10), outer)).toBe(false);
+  });
+
+  it('rejects polygons around a concave notch', () => {
+    const notched = [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 40 }, { x: 25, y: 40 }, { x: 25, y: 20 }, { x: 15, y: 20 }, { x: 15, y: 40 }, { x: 0, y: 40 }];
+    expect(polygonInsidePolygon(rectangleVertices(30, 5, 5, 25), notched)).toBe(false);
+    expect(polygonInsidePolygon(rectangleVertices(30, 5, 5, 5), notched)).toBe(true);
+  });
+});
+
+describe('items', () => {
+  const item = (x, y, rotation = 0) => ({ width: 10, length: 4, position: { x, y }, rotation });
+
+  it('rotate about their centre', () => {
+    expect(rounded(itemVertices(item(0, 0, 90)))).toEqual([{ x: 7, y: -3 }, { x: 7, y: 7 }, { x: 3, y: 7 }, { x: 3, y: -3 }]);
+  });
+
+  it('overlap only when their areas intersect', () => {
+    expect(itemsOverlap(item(0, 0), item(10, 0))).toBe(false);
+    expect(itemsOverlap(item(0, 0), item(9, 0))).toBe(true);
+    // Turned 45°, the first item reaches x = 5 + 7 × cos 45° ≈ 9.95.
+    expect(itemsOverlap(item(0, 0, 45), item(10, 0))).toBe(false);
+    expect(itemsOverlap(item(0, 0, 45), item(9.5, 0))).toBe(true);
+  });
+});
+
+describe('getPlotGeometry', () => {
+  it('applies setbacks relative to the primary road', () => {
+    const inputs = { plotShape: 'rectangle', plotWidth: 60, plotLength: 40, northDirection: 'top', setbackFront: 5, setbackBack: 2, setbackLeft: 3, setbackRight: 1 };
+    expect(getPlotGeometry({ ...inputs, roads: [] }).buildableBounds).toMatchObject({ minX: 3, maxX: 59, minY: 5, maxY: 38 });
+    expect(getPlotGeometry({ ...inputs, roads: [{ id: 'r', side: 'south', width: 30 }], primaryRoadId: 'r' }).buildableBounds).toMatchObject({ minY: 2, maxY: 35 });
+  });
+});
@@ -0,0 +1,15 @@
+export const HISTORY_LIMIT = 50;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+export const pushHistory = (history = EMPTY_HISTORY, previousState) => ({ past: [...history.past, previousState].slice(-HISTORY_LIMIT), future: [] });
+
+export const undoHistory = (history = EMPTY_HISTORY, currentState) => {
+  if (!history.past.length) return null;
+  return { state: history.past[history.past.length - 1], history: { past: history.past.slice(0, -1), future: [currentState, ...history.future].slice(0, HISTORY_LIMIT) } };
+};
+
+export const redoHistory = (history = EMPTY_HISTORY, currentState) => {
+  if (!history.future.length) return null;
+  return { state: history.future[0], history: { past: [...history.past, currentState].slice(-HISTORY_LIMIT), future: history.future.slice(1) } };
+};
@@ -0,0 +1,161 @@
+import { itemVertices, itemsOverlap, polygonInsidePolygon, boundingBox, closestPoints } from './geometry';
+import { frontSide } from './orientation';
+
+// Automatic placement of a floor's structures inside the buildable area, and the nearest valid
+// alternatives offered when an edit is rejected. Layouts only use quarter turns.
+const num = (value) => parseFloat(value) || 0;
+
+export const LAYOUT_PREFERENCES = {
+  parkingOnRoad: 'Parking next to the road',
+  groupCore: 'Staircase and lift together',
+  maximizeHouse: 'House as large as possible',
+};
+
+export const DEFAULT_LAYOUT_PREFERENCES = { parkingOnRoad: true, groupCore: true, maximizeHouse: true };
+
+const OPPOSITE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+const ALONG = { top: ['left', 'right'], bottom: ['left', 'right'], left: ['top', 'bottom'], right: ['top', 'bottom'] };
+const CORE = ['staircase', 'lift'];
+
+// Distance from a box to one side of the bounds.
+const gap = (box, bounds, side) => ({ top: box.minY - bounds.minY, bottom: bounds.maxY - box.maxY, left: box.minX - bounds.minX, right: bounds.maxX - box.maxX })[side];
+
+// The item turned by `rotation` with its outline's bounding box at (x, y).
+const placeAt = (item, rotation, x, y) => {
+  const w = num(item.width), l = num(item.length);
+  const [bw, bh] = rotation % 180 ? [l, w] : [w, l];
+  return { ...item, rotation, position: { x: x + (bw - w) / 2, y: y + (bh - l) / 2 } };
+};
+
+const fits = (item, placed, buildable) => polygonInsidePolygon(itemVertices(item), buildable) && !placed.some(other => itemsOverlap(item, other));
+
+// Edges worth lining a new item up against: the buildable area's and those of the items already placed.
+const anchors = (buildable, placed) => {
+  const boxes = [boundingBox(buildable), ...placed.map(item => boundingBox(itemVertices(item)))];
+  return { xs: [...buildable.map(v => v.x), ...boxes.flatMap(b => [b.minX, b.maxX])], ys: [...buildable.map(v => v.y), ...boxes.flatMap(b => [b.minY, b.maxY])] };
+};
+
+// Every valid spot for the item touching an anchor edge, in both quarter turns.
+const candidates = (item, placed, buildable) => {
+  const { xs, ys } = anchors(buildable, placed);
+  const result = [];
+  [0, 90].forEach(rotation => {
+    const [bw, bh] = rotation % 180 ? [num(item.length), num(item.width)] : [num(item.width), num(item.length)];
+    const xOptions = [...new Set(xs.flatMap(x => [x, x - bw]))], yOptions = [...new Set(ys.flatMap(y => [y, y - bh]))];
+    xOptions.forEach(x => yOptions.forEach(y => {
+      const candidate = placeAt(item, rotation, x, y);
+      if (fits(candidate, placed, buildable)) result.push(candidate);
+    }));
+  });
+  return result;
+};
+
+// The largest axis-aligned rectangle that fits between the items already placed.
+const largestFreeRectangle = (item, placed, buildable) => {
+  const { xs, ys } = anchors(buildable, placed);
+  const sortedXs = [...new Set(xs)].sort((a, b) => a - b), sortedYs = [...new Set(ys)].sort((a, b) => a - b);
+  let best = null, bestArea = 0;
+  sortedXs.forEach((x1, i) => sortedXs.slice(i + 1).forEach(x2 => sortedYs.forEach((y1, j) => sortedYs.slice(j + 1).forEach(y2 => {
+    const area = (x2 - x1) * (y2 - y1);
+    if (area <= bestArea) return;
+    const candidate = { ...item, rotation: 0, width: x2 - x1, length: y2 - y1, position: { x: x1, y: y1 } };
+    if (fits(candidate, placed, buildable)) { best = candidate; bestArea = area; }
+  }))));
+  return best;
+};
+
+const role = (item) => item.category === 'parking' ? 0 : CORE.includes(item.category) ? 1 : item.category === 'house' ? 3 : 2;
+
+// Lower is better. `variant` picks which end of the road parking and the staircase core lean towards.
+const placementCost = (item, placed, bounds, front, variant, preferences) => {
+  const box = boundingBox(itemVertices(item)), back = OPPOSITE[front];
+  const parkingEnd = ALONG[front][variant.parkingEnd], coreEnd = ALONG[front][variant.coreEnd];
+  const hugEdges = Math.min(...['top', 'right', 'bottom', 'left'].map(side => gap(box, bounds, side)));
+  if (item.category === 'parking' && preferences.parkingOnRoad) return gap(box, bounds, front) * 10 + gap(box, bounds, parkingEnd);
+  if (CORE.includes(item.category) && preferences.groupCore) {
+    const core = placed.filter(other => CORE.includes(other.category));
+    const apart = core.length ? Math.min(...core.map(other => closestPoints(itemVertices(item), itemVertices(other)).distance)) : 0;
+    return apart * 100 + gap(box, bounds, back) * 10 + gap(box, bounds, coreEnd);
+  }
+  if (item.category === 'house') return gap(box, bounds, front) * 10 + hugEdges;
+  return hugEdges * 10 + gap(box, bounds, back);
+};
+
+const arrange = (entries, geometry, front, variant, preferences) => {
+  const bounds = geometry.buildableBounds;
+  const placed = [], result = {};
+  const ordered = [...entries].sort(([, a], [, b]) => role(a) - role(b) || num(b.width) * num(b.length) - num(a.width) * num(a.length));
+  for (const [key, item] of ordered) {
+    let best;
+    if (item.category === 'house' && preferences.maximizeHouse) best = largestFreeRectangle(item, placed, geometry.buildable);
+    else best = candidates(item, placed, geometry.buildable).reduce((min, candidate) => {
+      const cost = placementCost(candidate, placed, bounds, front, variant, preferences);
+      return !min || cost < min.cost - 1e-9 ? { candidate, cost } : min;
+    }, null)?.candidate;
+    if (!best) return null;
+    placed.push(best);
+    result[key] = best;
+  }
+  return result;
+};
+
+const describe = (layout, geometry, front) => {
+  const items = Object.values(layout), bounds = geometry.buildableBounds;
+  const notes = [];
+  const houseArea = items.filter(item => item.category === 'house').reduce((sum, item) => sum + num(item.width) * num(item.length), 0);
+  const parking = items.filter(item => item.category === 'parking');
+  if (parking.length) notes.push(parking.every(item => gap(boundingBox(itemVertices(item)), bounds, front) < 0.01) ? 'Parking on the road side' : 'Parking away from the road');
+  const core = items.filter(item => CORE.includes(item.category));
+  if (core.length > 1) notes.push(core.every((item, i) => !i || closestPoints(itemVertices(item), itemVertices(core[i - 1])).distance < 0.01) ? 'Staircase and lift side by side' : 'Staircase and lift apart');
+  return { houseArea, notes };
+};
+
+// Up to `count` distinct layouts of the enabled items, best first. Each is { items, houseArea, notes }
+// where `items` holds the rearranged items by key. Returns [] when the items cannot all fit.
+export const suggestLayouts = (items, geometry, inputs, preferences = DEFAULT_LAYOUT_PREFERENCES, count = 3) => {
+  if (!geometry.buildable.length) return [];
+  const entries = Object.entries(items).filter(([, item]) => item.enabled);
+  const front = frontSide(inputs);
+  const seen = new Set(), layouts = [];
+  [[0, 1], [1, 0], [0, 0], [1, 1]].forEach(([parkingEnd, coreEnd]) => {
+    const layout = arrange(entries, geometry, front, { parkingEnd, coreEnd }, preferences);
+    if (!layout) return;
+    const signature = JSON.stringify(layout);
+    if (seen.has(signature)) return;
+    seen.add(signature);
+    layouts.push({ items: layout, ...describe(layout, geometry, front) });
+  });
+  return layouts.sort((a, b) => b.houseArea - a.houseArea).slice(0, count);
+};
+
+// The closest position on a grid of `step` around the item's own where `isValid` accepts it, or null.
+export const nearestValidPosition = (item, isValid, step = 0.5, maxDistance = 100) => {
+  const x0 = Math.round(num(item.position.x) / step) * step, y0 = Math.round(num(item.position.y) / step) * step;
+  let best = null;
+  for (let ring = 0; ring * step <= maxDistance; ring++) {
+    if (best && ring * step > best.distance) break;
+    for (let i = -ring; i <= ring; i++) {
+      for (const [dx, dy] of ring ? [[i, -ring], [i, ring], [-ring, i], [ring, i]] : [[0, 0]]) {
+        const position = { x: x0 + dx * step, y: y0 + dy * step };
+        const distance = Math.hypot(position.x - num(item.position.x), position.y - num(item.position.y));
+        if ((!best || distance < best.distance) && isValid({ ...item, position })) best = { position, distance };
+      }
+    }
+  }
+  return best && best.position;
+};
+
+// The size closest to `value` between the item's current (valid) size and `value`, or null if the
+// item cannot change at all.
+export const nearestValidSize = (item, field, value, isValid) => {
+  const current = num(item[field]);
+  const target = num(value);
+  let lo = current, hi = target;
+  for (let i = 0; i < 40 && Math.abs(hi - lo) > 0.005; i++) {
+    const mid = (lo + hi) / 2;
+    if (isValid({ ...item, [field]: mid })) lo = mid; else hi = mid;
+  }
+  const options = [Math.ceil(lo * 100) / 100, Math.floor(lo * 100) / 100];
+  const size = (target > current ? options : options.reverse()).find(s => s !== current && isValid({ ...item, [field]: s }));
+  return size === undefined ? null : size;
+};
@@ -0,0 +1,48 @@
+import { suggestLayouts, nearestValidPosition } from './layout';
+import { getPlotGeometry, polygonInsidePolygon, itemVertices, itemsOverlap } from './geometry';
+import { fromLength } from './units';
+import { INITIAL_STATE } from './projectSchema';
+
+const metricInputs = (width, length, setback) => ({
+  ...INITIAL_STATE.inputs,
+  plotWidth: fromLength(width, 'm'), plotLength: fromLength(length, 'm'),
+  setbackFront: fromLength(setback, 'm'), setbackBack: fromLength(setback, 'm'), setbackLeft: fromLength(setback, 'm'), setbackRight: fromLength(setback, 'm'),
+});
+
+const expectValid = (layout, geometry) => {
+  const items = Object.values(layout.items);
+  items.forEach((item, i) => {
+    expect(polygonInsidePolygon(itemVertices(item), geometry.buildable)).toBe(true);
+    items.slice(i + 1).forEach(other => expect(itemsOverlap(item, other)).toBe(false));
+  });
+};
+
+describe('suggestLayouts', () => {
+  it('arranges the default ground floor', () => {
+    const geometry = getPlotGeometry(INITIAL_STATE.inputs);
+    const layouts = suggestLayouts(INITIAL_STATE.floors[0].items, geometry, INITIAL_STATE.inputs);
+    expect(layouts.length).toBeGreaterThan(0);
+    layouts.forEach(layout => expectValid(layout, geometry));
+  });
+
+  it('places structures against buildable edges that are not round numbers', () => {
+    [[20, 15, 1.5], [18, 12, 1], [25, 20, 2], [60, 40, 5]].forEach(([width, length, setback]) => {
+      const inputs = metricInputs(width, length, setback), geometry = getPlotGeometry(inputs);
+      const layouts = suggestLayouts(INITIAL_STATE.floors[0].items, geometry, inputs);
+      expect(layouts.length).toBeGreaterThan(0);
+      layouts.forEach(layout => expectValid(layout, geometry));
+    });
+  });
+
+  it('returns nothing when the structures cannot fit', () => {
+    const inputs = metricInputs(6, 6, 1);
+    expect(suggestLayouts(INITIAL_STATE.floors[0].items, getPlotGeometry(inputs), inputs)).toEqual([]);
+  });
+});
+
+describe('nearestValidPosition', () => {
+  it('finds the closest accepted spot on the grid', () => {
+    const item = { width: 10, length: 10, rotation: 0, position: { x: 3, y: 0 } };
+    expect(nearestValidPosition(item, candidate => candidate.position.x >= 5)).toEqual({ x: 5, y: 0 });
+  });
+});
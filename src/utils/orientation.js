@@ -0,0 +1,65 @@
+// Compass directions and sides of the drawing, both listed clockwise. `inputs.northDirection` is the
+// side of the drawing north points to; roads and surroundings are kept by compass direction.
+export const COMPASS = ['north', 'east', 'south', 'west'];
+export const SCREEN_SIDES = ['top', 'right', 'bottom', 'left'];
+
+export const NORTH_DIRECTIONS = { top: 'Up', right: 'Right', bottom: 'Down', left: 'Left' };
+
+const capitalize = (value) => value[0].toUpperCase() + value.slice(1);
+export const compassLabel = (direction) => capitalize(direction);
+
+// Clockwise angle of north from the top of the drawing, in degrees.
+export const northAngle = (northDirection) => Math.max(0, SCREEN_SIDES.indexOf(northDirection)) * 90;
+
+export const compassToScreen = (direction, northDirection) => SCREEN_SIDES[(COMPASS.indexOf(direction) + Math.max(0, SCREEN_SIDES.indexOf(northDirection))) % 4];
+
+export const screenToCompass = (side, northDirection) => COMPASS[(SCREEN_SIDES.indexOf(side) - Math.max(0, SCREEN_SIDES.indexOf(northDirection)) + 4) % 4];
+
+export const getRoads = (inputs) => (inputs.roads || []).filter(road => COMPASS.includes(road.side));
+
+// The primary road sets the plot's front; without roads the top of the drawing is the front.
+export const primaryRoad = (inputs) => {
+  const roads = getRoads(inputs);
+  return roads.find(road => road.id === inputs.primaryRoadId) || roads[0] || null;
+};
+
+export const frontSide = (inputs) => {
+  const road = primaryRoad(inputs);
+  return road ? compassToScreen(road.side, inputs.northDirection) : 'top';
+};
+
+// How far roads extend beyond each side of the plot's bounding box, for layout.
+export const roadExtents = (inputs) => {
+  const extents = { top: 0, right: 0, bottom: 0, left: 0 };
+  getRoads(inputs).forEach(road => {
+    const side = compassToScreen(road.side, inputs.northDirection);
+    extents[side] = Math.max(extents[side], parseFloat(road.width) || 0);
+  });
+  return extents;
+};
+
+// The strip a road occupies alongside the plot's bounding box.
+export const roadBand = ({ minX, minY, maxX, maxY }, side, width) => ({
+  top: { minX, maxX, minY: minY - width, maxY: minY },
+  bottom: { minX, maxX, minY: maxY, maxY: maxY + width },
+  left: { minX: minX - width, maxX: minX, minY, maxY },
+  right: { minX: maxX, maxX: maxX + width, minY, maxY },
+}[side]);
+
+// Where a label runs along a side of the box, `distance` outside it. Side labels read bottom to top.
+export const sideLabelPosition = ({ minX, minY, maxX, maxY }, side, distance) => ({
+  top: { x: (minX + maxX) / 2, y: minY - distance, angle: 0 },
+  bottom: { x: (minX + maxX) / 2, y: maxY + distance, angle: 0 },
+  left: { x: minX - distance, y: (minY + maxY) / 2, angle: -90 },
+  right: { x: maxX + distance, y: (minY + maxY) / 2, angle: -90 },
+}[side]);
+
+// A north needle and the four cardinal letters around `center`, turned to the plot's north.
+export const compassRose = (center, radius, northDirection) => {
+  const angle = northAngle(northDirection) * Math.PI / 180, cos = Math.cos(angle), sin = Math.sin(angle);
+  const turn = (x, y) => ({ x: center.x + x * cos - y * sin, y: center.y + x * sin + y * cos });
+  return {
+    needle: [turn(0, -radius), turn(radius * 0.35, radius * 0.5), turn(0, radius * 0.25), turn(-radius * 0.35, radius * 0.5)],
+    letters: COMPASS.map((direction, i) => ({ value: direction[0].toUpperCase(), ...turn(...[[0, -1], [1, 0], [0, 1], [-1, 0]][i].map(v => v * radius * 1.45)) })),
+  };
+};
@@ -0,0 +1,102 @@
+// A minimal PDF 1.4 writer: vector pages drawn with raw content-stream operators and the two
+// standard Helvetica fonts (/F1 regular, /F2 bold), so no font embedding is needed. JPEG images can
+// be placed as-is, since PDF decodes them natively.
+
+export const MM_TO_PT = 72 / 25.4;
+
+// Portrait sizes in millimetres.
+export const PAPER_SIZES = {
+  A4: [210, 297],
+  A3: [297, 420],
+  A2: [420, 594],
+  A1: [594, 841],
+  Letter: [215.9, 279.4],
+  Tabloid: [279.4, 431.8],
+};
+
+const WIN_ANSI = { '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 };
+const REPLACEMENTS = { '≥': '>=', '≤': '<=', '✓': 'OK', '✗': 'X', '→': '->' };
+
+// Encodes text for a WinAnsi font and escapes it as a PDF string literal.
+export const pdfString = (text) => {
+  const encoded = Array.from(String(text)).map(ch => REPLACEMENTS[ch] || ch).join('');
+  const bytes = Array.from(encoded).map(ch => {
+    const code = ch.charCodeAt(0);
+    if (WIN_ANSI[ch]) return String.fromCharCode(WIN_ANSI[ch]);
+    return code < 256 ? ch : '?';
+  }).join('');
+  return `(${bytes.replace(/[\\()]/g, m => `\\${m}`).replace(/\r?\n/g, ' ')})`;
+};
+
+const n = (value) => (Math.round(value * 100) / 100).toString();
+
+export const pdfColor = (hex) => {
+  const value = parseInt((hex || '#000000').replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => n(c / 255)).join(' ');
+};
+
+// Content-stream helpers. Coordinates are in points from the bottom-left corner of the page.
+export const pdfOps = {
+  path: (points, { fill, stroke, lineWidth = 0.5, dash } = {}) => {
+    if (points.length < 2) return '';
+    const ops = [`${n(lineWidth)} w`, dash ? `[${dash.join(' ')}] 0 d` : '[] 0 d'];
+    if (fill) ops.push(`${pdfColor(fill)} rg`);
+    if (stroke) ops.push(`${pdfColor(stroke)} RG`);
+    ops.push(`${n(points[0].x)} ${n(points[0].y)} m`, ...points.slice(1).map(p => `${n(p.x)} ${n(p.y)} l`));
+    ops.push(fill && stroke ? 'h B' : fill ? 'h f' : 'h S');
+    return ops.join('\n');
+  },
+  line: (from, to, { stroke = '#000000', lineWidth = 0.5, dash } = {}) => [`${n(lineWidth)} w`, dash ? `[${dash.join(' ')}] 0 d` : '[] 0 d', `${pdfColor(stroke)} RG`, `${n(from.x)} ${n(from.y)} m ${n(to.x)} ${n(to.y)} l S`].join('\n'),
+  // `align` is 'left', 'center' or 'right'; widths are estimated from an average Helvetica glyph.
+  // `angle` turns the text counter-clockwise (in degrees) about (x, y).
+  text: (value, x, y, size, { bold = false, color = '#000000', align = 'left', angle = 0 } = {}) => {
+    const width = String(value).length * size * (bold ? 0.56 : 0.5);
+    const shift = align === 'center' ? width / 2 : align === 'right' ? width : 0;
+    const font = `BT ${pdfColor(color)} rg /${bold ? 'F2' : 'F1'} ${n(size)} Tf`;
+    if (!angle) return `${font} ${n(x - shift)} ${n(y)} Td ${pdfString(value)} Tj ET`;
+    const cos = Math.cos(angle * Math.PI / 180), sin = Math.sin(angle * Math.PI / 180);
+    return `${font} ${n(cos)} ${n(sin)} ${n(-sin)} ${n(cos)} ${n(x - shift * cos)} ${n(y - shift * sin)} Tm ${pdfString(value)} Tj ET`;
+  },
+  // Draws a named image (see createPdf) into the box with its bottom-left corner at (x, y).
+  image: (name, x, y, width, height) => `q ${n(width)} 0 0 ${n(height)} ${n(x)} ${n(y)} cm /${name} Do Q`,
+};
+
+const binaryString = (bytes) => {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) out += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return out;
+};
+
+// pages: [{ width, height, content, images? }] with sizes in points. `images` maps the names used with
+// pdfOps.image to { data (JPEG bytes), width, height } in pixels; pages may share an image by name.
+// Returns the file as bytes.
+export const createPdf = (pages) => {
+  const objects = [];
+  const add = (body) => { objects.push(body); return objects.length; };
+  const catalog = add(null);
+  const pagesRef = add(null);
+  const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFont = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const imageRefs = {};
+  const kids = pages.map(page => {
+    const images = Object.entries(page.images || {}).map(([name, image]) => {
+      if (!imageRefs[name]) imageRefs[name] = add(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n${binaryString(image.data)}\nendstream`);
+      return `/${name} ${imageRefs[name]} 0 R`;
+    });
+    const content = add(`<< /Length ${page.content.length} >>\nstream\n${page.content}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${n(page.width)} ${n(page.height)}] /Contents ${content} 0 R /Resources << /Font << /F1 ${font} 0 R /F2 ${boldFont} 0 R >>${images.length ? ` /XObject << ${images.join(' ')} >>` : ''} >> >>`);
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+  objects[pagesRef - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return Uint8Array.from(out, ch => ch.charCodeAt(0) & 255);
+};
@@ -0,0 +1,28 @@
+/**
+ * @jest-environment node
+ */
+import { createPdf, pdfOps } from './pdf';
+
+const text = (bytes) => String.fromCharCode(...bytes);
+const JPEG = { data: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]), width: 2, height: 1 };
+
+describe('createPdf', () => {
+  it('writes a cross-reference table that points at every object', () => {
+    const pdf = text(createPdf([{ width: 200, height: 100, content: pdfOps.text('Hello', 10, 10, 12) }, { width: 200, height: 100, content: '' }]));
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+    const xref = parseInt(pdf.match(/startxref\n(\d+)/)[1], 10);
+    expect(pdf.slice(xref, xref + 4)).toBe('xref');
+    const offsets = pdf.slice(xref).split('\n').filter(line => / 00000 n $/.test(line)).map(line => parseInt(line, 10));
+    offsets.forEach((offset, i) => expect(pdf.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true));
+    expect(pdf).toContain('/Count 2');
+    expect(pdf).toContain('(Hello) Tj');
+  });
+
+  it('embeds an image shared by several pages once', () => {
+    const page = { width: 200, height: 100, content: pdfOps.image('Logo', 0, 0, 20, 10), images: { Logo: JPEG } };
+    const pdf = text(createPdf([page, page]));
+    expect(pdf.match(/\/Subtype \/Image/g)).toHaveLength(1);
+    expect(pdf.match(/\/XObject << \/Logo (\d+) 0 R >>/g)).toHaveLength(2);
+    expect(pdf).toContain('/Filter /DCTDecode /Length 4');
+  });
+});
@@ -0,0 +1,160 @@
+import { STRUCTURE_CATEGORIES, allowedOnLevel } from './structures';
+import { DEFAULT_UNITS } from './units';
+import { screenToCompass } from './orientation';
+
+export const SCHEMA_VERSION = 11;
+export const PROJECT_FILE_FORMAT = 'plot-diagram-project';
+
+export const INITIAL_STATE = {
+  inputs: { plotWidth: 60, plotLength: 40, roads: [{ id: 'road-1', side: 'south', width: 30, type: 'Main Road' }], primaryRoadId: 'road-1', northDirection: 'top', setbackFront: 5, setbackBack: 5, setbackLeft: 5, setbackRight: 5, plotShape: 'rectangle', boundaryMode: 'sides', sides: [], vertices: [] },
+  surroundings: { north: "Neighbor's Property", south: "30ft Main Road", east: "Vacant Plot", west: "Park" },
+  identificationText: "Identified through EC Bill & Customer",
+  // Each floor has its own structures. An empty grossArea means "use the floor's footprint".
+  floors: [
+    {
+      id: 1, name: 'Ground Floor', level: 'stilt', grossArea: '', measurements: [],
+      items: {
+        parking: { category: 'parking', label: 'Parking', enabled: true, width: 20, length: 15, position: { x: 15, y: 10 }, rotation: 0 },
+        staircase: { category: 'staircase', label: 'Staircase', enabled: true, width: 10, length: 6, position: { x: 45, y: 10 }, rotation: 0 },
+        lift: { category: 'lift', label: 'Lift', enabled: true, width: 6, length: 6, position: { x: 45, y: 18 }, rotation: 0 },
+      },
+    },
+    {
+      id: 2, name: 'FF to 3F', level: 'upper', grossArea: '', measurements: [],
+      items: {
+        house: { category: 'house', label: 'G+2 House', enabled: true, width: 30, length: 25, facing: 'south', position: { x: 15, y: 10 }, rotation: 0 },
+        'staircase-f2': { category: 'staircase', label: 'Staircase', enabled: true, width: 10, length: 6, position: { x: 45, y: 10 }, rotation: 0 },
+        'lift-f2': { category: 'lift', label: 'Lift', enabled: true, width: 6, length: 6, position: { x: 45, y: 18 }, rotation: 0 },
+      },
+    },
+  ],
+  ruleProfileId: 'generic-residential',
+  units: DEFAULT_UNITS,
+  snap: { enabled: true, grid: 0.5, toSetbacks: true, toItems: true },
+  dimensions: { sides: true, setbacks: true, sizes: true, clearances: false },
+  // Title block used by reports. An empty scale picks the largest standard scale that fits; images are
+  // { src (JPEG data URL), width, height }.
+  report: { heading: 'Plot Area Calculation & Diagram', surveyNumber: '', owner: '', surveyor: '', date: '', paper: 'A3', scale: '', logo: null, signature: null },
+};
+
+// What a bare state fell back to before floors had their own structures.
+const LEGACY_DEFAULTS = {
+  inputs: { plotWidth: 60, plotLength: 40, roadWidth: 30, roadType: 'Main Road', northDirection: 'top', setbackFront: 5, setbackBack: 5, setbackLeft: 5, setbackRight: 5 },
+  items: {
+    house: { category: 'house', label: 'G+2 House', enabled: true, width: 30, length: 25, facing: 'north', position: { x: 15, y: 10 } },
+    staircase: { category: 'staircase', label: 'Staircase', enabled: true, width: 10, length: 6, position: { x: 50, y: 10 } },
+    lift: { category: 'lift', label: 'Lift', enabled: true, width: 6, length: 6, position: { x: 50, y: 18 } },
+    parking: { category: 'parking', label: 'Parking', enabled: true, width: 20, length: 15, position: { x: 15, y: 15 } },
+  },
+  floors: [{ id: 1, name: 'Ground Floor', grossArea: 1200 }, { id: 2, name: 'FF to 3F', grossArea: 1200 }],
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Each entry upgrades a state saved at version `index + 1` to the next version.
+const MIGRATIONS = [
+  // v1: the bare, unversioned state that used to live in `plotDiagramState`. Fill anything missing from the defaults.
+  (state) => {
+    const items = isObject(state.items) ? state.items : LEGACY_DEFAULTS.items;
+    return {
+      inputs: { ...LEGACY_DEFAULTS.inputs, ...(isObject(state.inputs) ? state.inputs : {}) },
+      items: Object.fromEntries(Object.entries(items).filter(([, item]) => isObject(item)).map(([key, item]) => [key, {
+        enabled: true, width: 0, length: 0, ...item,
+        position: { x: parseFloat(item.position?.x) || 0, y: parseFloat(item.position?.y) || 0 },
+      }])),
+      surroundings: { ...INITIAL_STATE.surroundings, ...(isObject(state.surroundings) ? state.surroundings : {}) },
+      identificationText: typeof state.identificationText === 'string' ? state.identificationText : INITIAL_STATE.identificationText,
+      floors: Array.isArray(state.floors) ? state.floors.filter(isObject).map((floor, index) => ({ id: floor.id ?? index + 1, name: floor.name ?? `Floor ${index + 1}`, grossArea: floor.grossArea ?? 0 })) : LEGACY_DEFAULTS.floors,
+    };
+  },
+  // v2: items were the fixed house/staircase/lift/parking keys. Give each a category and a label.
+  (state) => ({
+    ...state,
+    items: Object.fromEntries(Object.entries(state.items).map(([key, { description, ...item }]) => {
+      const category = STRUCTURE_CATEGORIES[key] ? key : 'other';
+      const label = description || STRUCTURE_CATEGORIES[category].label;
+      return [key, { category, label, ...item }];
+    })),
+  }),
+  // v3: every plot was a plotWidth x plotLength rectangle.
+  (state) => ({
+    ...state,
+    inputs: { plotShape: 'rectangle', boundaryMode: 'sides', sides: [], vertices: [], ...state.inputs },
+  }),
+  // v4: no bylaw rule profile was selected.
+  (state) => ({ ruleProfileId: INITIAL_STATE.ruleProfileId, ...state }),
+  // v5: everything was shown in feet and sqft (which is still how values are stored).
+  (state) => ({ units: DEFAULT_UNITS, ...state }),
+  // v6: items could not be rotated and dragging snapped to nothing.
+  (state) => ({
+    snap: INITIAL_STATE.snap,
+    ...state,
+    items: Object.fromEntries(Object.entries(state.items).map(([key, item]) => [key, { rotation: 0, ...item }])),
+  }),
+  // v7: one set of structures served every floor and each floor's gross area was typed in. Every floor
+  // gets its own copy of the structures that belong on its level (keys stay unique across floors), and
+  // the typed areas are kept as overrides.
+  ({ items, floors, ...state }) => {
+    const levelFloors = floors.length ? floors : [{ id: 1, name: 'Ground Floor', grossArea: '' }];
+    return {
+      ...state,
+      floors: levelFloors.map((floor, index) => {
+        const level = index === 0 ? 'ground' : 'upper';
+        const floorItems = Object.entries(items).filter(([, item]) => allowedOnLevel(item.category, level)).map(([key, item]) => [index === 0 ? key : `${key}-f${index + 1}`, item]);
+        return { ...floor, level, items: Object.fromEntries(floorItems) };
+      }),
+    };
+  },
+  // v8: only the front setback was labelled and nothing could be measured.
+  (state) => ({
+    dimensions: INITIAL_STATE.dimensions,
+    ...state,
+    floors: state.floors.map(floor => ({ measurements: [], ...floor })),
+  }),
+  // v9: a single road was always drawn below the plot, and the top edge was the front. The road now
+  // sets the front, so its setbacks swap ends to keep the buildable area where it was.
+  (state) => {
+    const { roadWidth, roadType, ...inputs } = state.inputs;
+    const width = parseFloat(roadWidth) || 0;
+    const roads = width > 0 ? [{ id: 'road-1', side: screenToCompass('bottom', inputs.northDirection), width, type: roadType || 'Road' }] : [];
+    const setbacks = roads.length ? { setbackFront: inputs.setbackBack, setbackBack: inputs.setbackFront, setbackLeft: inputs.setbackRight, setbackRight: inputs.setbackLeft } : {};
+    return { ...state, inputs: { ...inputs, ...setbacks, roads, primaryRoadId: roads.length ? 'road-1' : null } };
+  },
+  // v10: reports had a fixed heading and no title block.
+  (state) => ({ report: INITIAL_STATE.report, ...state }),
+];
+
+// The shape the editor relies on. States at the current version skip every migration, so this is
+// the only thing standing between a damaged file and an editor that fails on every load.
+const checkState = (state) => {
+  const problems = [];
+  if (!isObject(state.inputs)) problems.push('plot inputs');
+  if (!Array.isArray(state.floors) || !state.floors.length) problems.push('floors');
+  else if (!state.floors.every(floor => isObject(floor) && isObject(floor.items) && Array.isArray(floor.measurements) && Object.values(floor.items).every(item => isObject(item) && isObject(item.position)))) problems.push('floor structures');
+  if (!isObject(state.units) || typeof state.units.length !== 'string' || !Array.isArray(state.units.areas) || !state.units.areas.length) problems.push('units');
+  ['surroundings', 'snap', 'dimensions', 'report'].forEach(key => { if (!isObject(state[key])) problems.push(key); });
+  if (problems.length) throw new Error(`The project is incomplete or damaged (missing or invalid: ${problems.join(', ')}).`);
+  return state;
+};
+
+export const migrateState = (state, fromVersion = 1) => {
+  const version = parseInt(fromVersion, 10) || 1;
+  if (version > SCHEMA_VERSION) throw new Error(`This project was saved by a newer version of the app (schema v${version}).`);
+  if (!isObject(state)) throw new Error('The project has no plot data.');
+  return checkState(MIGRATIONS.slice(version - 1).reduce((current, migrate) => migrate(current), state));
+};
+
+// Accepts an exported project file, a stored library record or a bare legacy state.
+export const parseProjectData = (data) => {
+  if (!isObject(data)) throw new Error('Not a plot project file.');
+  if (isObject(data.state)) return { name: data.name, state: migrateState(data.state, data.schemaVersion) };
+  if (isObject(data.inputs)) return { name: data.name, state: migrateState(data, 1) };
+  throw new Error('Not a plot project file.');
+};
+
+// Report images are by far the largest part of a state. Saved history and share links leave them out
+// (`undefined` drops them from JSON), and a snapshot without them takes the images of `current`.
+export const withoutReportImages = (state) => ({ ...state, report: { ...state.report, logo: undefined, signature: undefined } });
+export const withReportImagesFrom = (state, current) => state.report.logo !== undefined ? state : { ...state, report: { ...state.report, logo: current.report.logo, signature: current.report.signature } };
+
+export const toProjectFile = (project) => ({ format: PROJECT_FILE_FORMAT, schemaVersion: SCHEMA_VERSION, name: project.name, exportedAt: new Date().toISOString(), state: project.state });
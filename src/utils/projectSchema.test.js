@@ -0,0 +1,101 @@
+import { getPlotGeometry } from './geometry';
+import { INITIAL_STATE, SCHEMA_VERSION, migrateState, parseProjectData, toProjectFile, withoutReportImages, withReportImagesFrom } from './projectSchema';
+
+const LEGACY_STATE = {
+  inputs: { plotWidth: 50, plotLength: 40, roadWidth: 20, roadType: 'Main Road', northDirection: 'top', setbackFront: 5, setbackBack: 5, setbackLeft: 5, setbackRight: 5 },
+  items: {
+    house: { enabled: true, width: 20, length: 15, facing: 'north', position: { x: 5, y: 5 } },
+    parking: { enabled: true, width: 10, length: 10, position: { x: 30, y: 5 } },
+  },
+  surroundings: { north: 'Road', south: 'Plot', east: 'Plot', west: 'Park' },
+  identificationText: 'Identified by owner',
+  floors: [{ id: 1, name: 'Ground Floor', grossArea: 800 }, { id: 2, name: 'First Floor', grossArea: 700 }],
+};
+
+describe('migrateState', () => {
+  it('upgrades a bare legacy state to the current shape', () => {
+    const state = migrateState(LEGACY_STATE, 1);
+    expect(Object.keys(state).sort()).toEqual(Object.keys(INITIAL_STATE).sort());
+    expect(state.floors.map(f => [f.level, f.grossArea, Object.keys(f.items)])).toEqual([['ground', 800, ['house', 'parking']], ['upper', 700, ['house-f2']]]);
+    expect(state.floors[0].items.house).toMatchObject({ category: 'house', label: 'House', rotation: 0 });
+    expect(state.inputs.roads).toEqual([{ id: 'road-1', side: 'south', width: 20, type: 'Main Road' }]);
+    expect(state.report).toEqual(INITIAL_STATE.report);
+  });
+
+  describe('v9 roads', () => {
+    const v8State = (inputs) => migrateState({ ...LEGACY_STATE, inputs: { ...LEGACY_STATE.inputs, ...inputs } }, 1);
+    const legacyBuildable = (inputs) => getPlotGeometry({ ...inputs, roads: [], primaryRoadId: null });
+    const check = (inputs) => {
+      const before = legacyBuildable({ plotShape: 'rectangle', ...LEGACY_STATE.inputs, ...inputs });
+      expect(getPlotGeometry(v8State(inputs).inputs).buildable).toEqual(before.buildable);
+    };
+
+    it('keeps the buildable area of a plot with a road', () => {
+      check({ plotWidth: 50, plotLength: 40, setbackFront: 3, setbackBack: 10, setbackLeft: 2, setbackRight: 12 });
+      expect(getPlotGeometry(v8State({ plotWidth: 50, plotLength: 40, setbackFront: 3, setbackBack: 10, setbackLeft: 2, setbackRight: 12 }).inputs).buildableBounds).toMatchObject({ minX: 2, maxX: 38, minY: 3, maxY: 30 });
+    });
+
+    it('keeps the buildable area whichever way north points', () => {
+      ['top', 'right', 'bottom', 'left'].forEach(northDirection => check({ northDirection, setbackFront: 3, setbackBack: 10, setbackLeft: 2, setbackRight: 12 }));
+    });
+
+    it('keeps the buildable area of an irregular plot', () => {
+      check({ plotShape: 'polygon', boundaryMode: 'vertices', vertices: [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 60, y: 40 }, { x: 0, y: 45 }], setbackFront: 3, setbackBack: 10, setbackLeft: 2, setbackRight: 12 });
+    });
+
+    it('keeps the setbacks of a plot without a road', () => {
+      const state = v8State({ roadWidth: 0, setbackFront: 3, setbackBack: 10 });
+      expect(state.inputs).toMatchObject({ roads: [], setbackFront: 3, setbackBack: 10 });
+      check({ roadWidth: 0, setbackFront: 3, setbackBack: 10 });
+    });
+  });
+
+  it('leaves a current state unchanged', () => {
+    expect(migrateState(INITIAL_STATE, SCHEMA_VERSION)).toBe(INITIAL_STATE);
+  });
+
+  it('rejects states from a newer version', () => {
+    expect(() => migrateState(INITIAL_STATE, SCHEMA_VERSION + 1)).toThrow('newer version');
+  });
+
+  it('rejects current-version states that are missing required parts', () => {
+    expect(() => migrateState({ inputs: {} }, SCHEMA_VERSION)).toThrow('incomplete or damaged');
+    expect(() => migrateState({ ...INITIAL_STATE, floors: [] }, SCHEMA_VERSION)).toThrow('floors');
+    expect(() => migrateState({ ...INITIAL_STATE, floors: [{ id: 1, items: {} }] }, SCHEMA_VERSION)).toThrow('floor structures');
+    expect(() => migrateState({ ...INITIAL_STATE, report: null }, SCHEMA_VERSION)).toThrow('report');
+  });
+});
+
+describe('parseProjectData', () => {
+  it('reads exported project files', () => {
+    const file = JSON.parse(JSON.stringify(toProjectFile({ name: 'Plot 7', state: INITIAL_STATE })));
+    expect(parseProjectData(file)).toEqual({ name: 'Plot 7', state: INITIAL_STATE });
+  });
+
+  it('reads bare legacy states', () => {
+    expect(parseProjectData(LEGACY_STATE).state.floors).toHaveLength(2);
+  });
+
+  it('rejects damaged files', () => {
+    expect(() => parseProjectData({ schemaVersion: SCHEMA_VERSION, state: { inputs: {} } })).toThrow('incomplete or damaged');
+    expect(() => parseProjectData([])).toThrow('Not a plot project file');
+  });
+});
+
+describe('report images', () => {
+  const logo = { src: 'data:image/jpeg;base64,AAAA', width: 10, height: 5 };
+  const state = { ...INITIAL_STATE, report: { ...INITIAL_STATE.report, heading: 'Old', logo } };
+
+  it('are left out of saved snapshots', () => {
+    const saved = JSON.parse(JSON.stringify(withoutReportImages(state)));
+    expect(saved.report).not.toHaveProperty('logo');
+    expect(saved.report.heading).toBe('Old');
+  });
+
+  it('are taken from the current state when a saved snapshot is restored', () => {
+    const saved = JSON.parse(JSON.stringify(withoutReportImages(state)));
+    const current = { ...INITIAL_STATE, report: { ...INITIAL_STATE.report, logo, signature: logo } };
+    expect(withReportImagesFrom(saved, current).report).toMatchObject({ heading: 'Old', logo, signature: logo });
+    expect(withReportImagesFrom(state, current)).toBe(state);
+  });
+});
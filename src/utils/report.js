@@ -0,0 +1,149 @@
+import { PAPER_SIZES, MM_TO_PT, pdfOps, createPdf } from './pdf';
+import { buildDrawing } from './drawing';
+import { fittingScale, paperMm, drawingOps } from './exporters';
+import { FLOOR_LEVELS } from './structures';
+import { formatAreas, unitFormatters } from './units';
+import { calculatePlot } from './calculations';
+import { evaluateCompliance } from './bylaws';
+
+// Printable reports: one landscape page per floor with the floor's diagram at a standard scale, its
+// area breakdown and, on the first page, the plot totals and compliance. Every page carries the
+// project's title block (see INITIAL_STATE.report).
+
+const MARGIN_MM = 10;
+const TITLE_BLOCK_MM = 40;
+const LOGO_MM = 40;
+const FIELDS_MM = 85;
+const SIGNATURE_MM = 55;
+const TEXT_SIZE = 9;
+const LINE = TEXT_SIZE * 1.4;
+
+// Decodes a JPEG data URL for embedding; other images are skipped.
+const jpegImage = (image) => {
+  if (!image || !/^data:image\/jpeg;base64,/.test(image.src || '')) return null;
+  return { data: Uint8Array.from(atob(image.src.split(',')[1]), c => c.charCodeAt(0)), width: image.width, height: image.height };
+};
+
+// Splits text into lines of at most `width` points, estimated from an average Helvetica glyph.
+const wrap = (text, width, size = TEXT_SIZE) => {
+  const max = Math.max(8, Math.floor(width / (size * 0.5)));
+  return String(text).split(' ').reduce((lines, word) => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && (last + ' ' + word).length <= max) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word.length > max ? `${word.slice(0, max - 1)}…` : word);
+    return lines;
+  }, []);
+};
+
+// The scale the template asks for, or the largest standard one that fits. Throws if the floor does not fit.
+const chooseScale = (drawing, template, widthMm, heightMm) => {
+  const fits = fittingScale(drawing, widthMm, heightMm);
+  const scale = parseFloat(template.scale);
+  if (!scale) {
+    if (!fits) throw new Error(`The plot is too large for ${template.paper} at any standard scale.`);
+    return fits;
+  }
+  if (drawing.bounds.width * paperMm(drawing, scale) > widthMm || drawing.bounds.height * paperMm(drawing, scale) > heightMm) {
+    throw new Error(`At 1:${scale} the plot does not fit on ${template.paper}.${fits ? ` Try 1:${fits}.` : ''}`);
+  }
+  return scale;
+};
+
+const floorLines = (floor, units) => [
+  { text: `${floor.name} (${FLOOR_LEVELS[floor.level]})`, bold: true },
+  ...floor.structures.filter(s => s.builtUp && s.area > 0).map(s => ({ text: `+ ${formatAreas(s.area, units.areas)} (${s.label})` })),
+  { text: `= ${formatAreas(floor.grossArea, units.areas)} (Gross${floor.grossOverridden ? ', entered' : ', from footprint'})` },
+  ...floor.deductions.map(d => ({ text: `- ${formatAreas(d.area, units.areas)} (${d.label})` })),
+  { text: `= ${formatAreas(floor.netBua, units.areas)} (Net BUA)`, bold: true },
+  ...floor.structures.filter(s => !s.builtUp && s.area > 0).map(s => ({ text: `${formatAreas(s.area, units.areas)} (${s.label}, not built-up)`, color: '#555555' })),
+];
+
+const summaryLines = (calculations, compliance, units) => [
+  { text: '' },
+  { text: 'Plot Summary', bold: true },
+  { text: `Plot Area: ${formatAreas(calculations.plotArea, units.areas)}` },
+  { text: `Buildable Area: ${formatAreas(calculations.buildableArea, units.areas)}` },
+  { text: `Total Allowable Floor Area: ${formatAreas(calculations.totalAllowableFloorArea, units.areas)}` },
+  { text: `Total As-Built Net BUA: ${formatAreas(calculations.totalNetBUA, units.areas)}` },
+  { text: `FAR: ${calculations.far.toFixed(2)}` },
+  ...(compliance ? [
+    { text: '' },
+    { text: `Compliance (${compliance.profileName}): ${compliance.passed ? 'PASS' : 'FAIL'}`, bold: true, color: compliance.passed ? '#15803d' : '#b91c1c' },
+    ...compliance.results.map(r => ({ text: `${r.status === 'pass' ? '✓' : '✗'} ${r.rule}: ${r.message}`, color: r.status === 'pass' ? '#15803d' : '#b91c1c' })),
+  ] : []),
+];
+
+const titleBlockOps = ({ name, state, sheet, sheets, scale }, pageW, images) => {
+  const template = state.report;
+  const mm = MM_TO_PT, left = MARGIN_MM * mm, bottom = MARGIN_MM * mm, right = (pageW - MARGIN_MM) * mm, top = (MARGIN_MM + TITLE_BLOCK_MM) * mm;
+  const logoRight = left + LOGO_MM * mm, signatureLeft = right - SIGNATURE_MM * mm, fieldsLeft = signatureLeft - FIELDS_MM * mm;
+  const ops = [pdfOps.path([{ x: left, y: bottom }, { x: right, y: bottom }, { x: right, y: top }, { x: left, y: top }], { stroke: '#000000', lineWidth: 1 })];
+  [logoRight, fieldsLeft, signatureLeft].forEach(x => ops.push(pdfOps.line({ x, y: bottom }, { x, y: top }, { lineWidth: 1 })));
+
+  // Images keep their aspect ratio inside their box.
+  const place = (imageName, boxLeft, boxBottom, boxW, boxH) => {
+    const image = images[imageName];
+    if (!image) return;
+    const k = Math.min(boxW / image.width, boxH / image.height);
+    ops.push(pdfOps.image(imageName, boxLeft + (boxW - image.width * k) / 2, boxBottom + (boxH - image.height * k) / 2, image.width * k, image.height * k));
+  };
+  place('Logo', left + 3 * mm, bottom + 3 * mm, (LOGO_MM - 6) * mm, (TITLE_BLOCK_MM - 6) * mm);
+  place('Signature', signatureLeft + 3 * mm, bottom + 9 * mm, (SIGNATURE_MM - 6) * mm, (TITLE_BLOCK_MM - 14) * mm);
+  ops.push(pdfOps.line({ x: signatureLeft + 5 * mm, y: bottom + 8 * mm }, { x: right - 5 * mm, y: bottom + 8 * mm }));
+  ops.push(pdfOps.text(template.surveyor ? `Signature (${template.surveyor})` : 'Signature', (signatureLeft + right) / 2, bottom + 3 * mm, 7, { align: 'center' }));
+
+  const middleW = fieldsLeft - logoRight - 8 * mm;
+  ops.push(...wrap(template.heading || 'Plot Report', middleW, 14).slice(0, 2).map((line, i) => pdfOps.text(line, logoRight + 4 * mm, top - 8 * mm - i * 17, 14, { bold: true })));
+  ops.push(pdfOps.text(name, logoRight + 4 * mm, top - 23 * mm, 11, { bold: true }));
+  if (state.identificationText) ops.push(...wrap(`* ${state.identificationText}`, middleW, 8).slice(0, 2).map((line, i) => pdfOps.text(line, logoRight + 4 * mm, top - 29 * mm - i * 10, 8)));
+
+  const fields = [['Survey No.', template.surveyNumber], ['Owner', template.owner], ['Surveyor', template.surveyor], ['Date', template.date], ['Scale', `1:${scale} on ${template.paper}`], ['Sheet', `${sheet} of ${sheets}`]];
+  const rowH = TITLE_BLOCK_MM * mm / fields.length;
+  fields.forEach(([label, value], i) => {
+    const y = top - (i + 1) * rowH;
+    if (i) ops.push(pdfOps.line({ x: fieldsLeft, y: y + rowH }, { x: signatureLeft, y: y + rowH }, { lineWidth: 0.3 }));
+    ops.push(pdfOps.text(label, fieldsLeft + 2 * mm, y + rowH / 2 - 3, 8, { bold: true }));
+    ops.push(pdfOps.text(wrap(value || '-', (FIELDS_MM - 27) * mm, 8)[0], fieldsLeft + 25 * mm, y + rowH / 2 - 3, 8));
+  });
+  return ops;
+};
+
+// report: { name, state, calculations, compliance } where state is a project state. Throws if a floor
+// cannot be drawn at the template's scale.
+export const reportPages = ({ name, state, calculations, compliance }) => {
+  const template = state.report;
+  const [pw, ph] = PAPER_SIZES[template.paper] || PAPER_SIZES.A3;
+  const pageW = Math.max(pw, ph), pageH = Math.min(pw, ph);
+  const areaTop = pageH - MARGIN_MM, areaBottom = MARGIN_MM + TITLE_BLOCK_MM + 6;
+  const drawingW = (pageW - MARGIN_MM * 2) * 0.62, columnLeft = MARGIN_MM + drawingW + 8, columnW = pageW - MARGIN_MM - columnLeft;
+  const images = Object.fromEntries([['Logo', jpegImage(template.logo)], ['Signature', jpegImage(template.signature)]].filter(([, image]) => image));
+  const { floorCalculations } = calculations;
+
+  return floorCalculations.map((floor, index) => {
+    const drawing = buildDrawing({ ...state, items: floor.items, measurements: floor.measurements }, { title: `${name} — ${floor.name}`, lengthUnit: state.units.length });
+    const scale = chooseScale(drawing, template, drawingW, areaTop - areaBottom);
+    const mm = paperMm(drawing, scale);
+    const originX = MARGIN_MM + (drawingW - drawing.bounds.width * mm) / 2, originY = areaBottom + (areaTop - areaBottom - drawing.bounds.height * mm) / 2;
+    const toPage = (p) => ({ x: (originX + (p.x - drawing.bounds.minX) * mm) * MM_TO_PT, y: (originY + (drawing.bounds.maxY - p.y) * mm) * MM_TO_PT });
+    const ops = drawingOps(drawing, toPage, mm * MM_TO_PT);
+
+    const lines = [...floorLines(floor, state.units), ...(index === 0 ? summaryLines(calculations, compliance, state.units) : [])]
+      .flatMap(line => wrap(line.text, columnW * MM_TO_PT).map((text, i) => ({ ...line, text: i ? `  ${text}` : text })));
+    const maxLines = Math.floor((areaTop - areaBottom) * MM_TO_PT / LINE);
+    const shown = lines.length > maxLines ? [...lines.slice(0, maxLines - 1), { text: `… ${lines.length - maxLines + 1} more line(s)` }] : lines;
+    shown.forEach((line, i) => line.text && ops.push(pdfOps.text(line.text, columnLeft * MM_TO_PT, areaTop * MM_TO_PT - TEXT_SIZE - i * LINE, TEXT_SIZE, { bold: line.bold, color: line.color })));
+
+    ops.push(...titleBlockOps({ name, state, sheet: index + 1, sheets: floorCalculations.length, scale }, pageW, images));
+    return { width: pageW * MM_TO_PT, height: pageH * MM_TO_PT, content: ops.filter(Boolean).join('\n'), images };
+  });
+};
+
+// The report for a project state checked against `ruleProfile` (none skips compliance).
+export const buildReport = (name, state, ruleProfile) => {
+  const calculations = calculatePlot(state);
+  const compliance = ruleProfile ? evaluateCompliance(ruleProfile, state, calculations, unitFormatters(state.units)) : null;
+  return { name, state, calculations, compliance };
+};
+
+// All reports in one printable PDF.
+export const reportsToPdf = (reports) => createPdf(reports.flatMap(reportPages));
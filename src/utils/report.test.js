@@ -0,0 +1,35 @@
+/**
+ * @jest-environment node
+ */
+import { buildReport, reportPages } from './report';
+import { DEFAULT_PROFILES } from './bylaws';
+import { INITIAL_STATE } from './projectSchema';
+
+const withReport = (report) => ({ ...INITIAL_STATE, report: { ...INITIAL_STATE.report, ...report } });
+
+describe('reportPages', () => {
+  it('has a page per floor with the title block filled in', () => {
+    const pages = reportPages(buildReport('Plot 12', withReport({ surveyNumber: '12/3A', owner: 'A. Owner' }), DEFAULT_PROFILES[0]));
+    expect(pages).toHaveLength(2);
+    expect(pages[0].content).toContain('(12/3A) Tj');
+    expect(pages[0].content).toContain('(A. Owner) Tj');
+    expect(pages[1].content).toContain('(2 of 2) Tj');
+    expect(pages[0].content).toContain('(Compliance \\(Generic Residential\\): PASS) Tj');
+    expect(pages[1].content).not.toContain('Compliance');
+  });
+
+  it('picks the largest standard scale that fits when none is set', () => {
+    expect(reportPages(buildReport('P', withReport({ scale: '' }), null))[0].content).toContain('(1:200 on A3) Tj');
+  });
+
+  it('explains when the chosen scale does not fit the paper', () => {
+    expect(() => reportPages(buildReport('P', withReport({ scale: '20' }), null))).toThrow('At 1:20 the plot does not fit on A3. Try 1:200.');
+  });
+
+  it('embeds JPEG images and skips anything else', () => {
+    const jpeg = { src: 'data:image/jpeg;base64,/9j/2Q==', width: 4, height: 2 };
+    const [page] = reportPages(buildReport('P', withReport({ logo: jpeg, signature: { ...jpeg, src: 'data:image/png;base64,AAAA' } }), null));
+    expect(Object.keys(page.images)).toEqual(['Logo']);
+    expect(page.content).toContain('/Logo Do');
+  });
+});
@@ -0,0 +1,48 @@
+import { parseProjectData, toProjectFile, withoutReportImages } from './projectSchema';
+import { validateProfile } from './bylaws';
+
+// A share link carries the whole project, gzipped and base64url-encoded, in the URL fragment so
+// it never reaches a server. The rule profile travels with it, as the recipient may not have it;
+// the report's logo and signature images do not, to keep links short.
+const SHARE_PREFIX = '#share=';
+
+export const isShareLink = (hash) => (hash || '').startsWith(SHARE_PREFIX);
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), c => c.charCodeAt(0));
+};
+
+const transform = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const checkSupport = () => {
+  if (typeof CompressionStream === 'undefined' || typeof DecompressionStream === 'undefined') throw new Error('This browser does not support share links.');
+};
+
+export const createShareLink = async (project, ruleProfile, base = `${window.location.origin}${window.location.pathname}`) => {
+  checkSupport();
+  const json = JSON.stringify({ ...toProjectFile({ ...project, state: withoutReportImages(project.state) }), ruleProfile });
+  const bytes = await transform(new TextEncoder().encode(json), new CompressionStream('gzip'));
+  return `${base}${SHARE_PREFIX}${toBase64Url(bytes)}`;
+};
+
+// Returns { name, state, ruleProfile }; ruleProfile is null when the link has no usable one.
+export const readShareLink = async (hash) => {
+  checkSupport();
+  if (!isShareLink(hash)) throw new Error('This is not a share link.');
+  let data;
+  try {
+    const bytes = await transform(fromBase64Url(hash.slice(SHARE_PREFIX.length)), new DecompressionStream('gzip'));
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) { throw new Error('The share link is incomplete or damaged.'); }
+  const { name, state } = parseProjectData(data);
+  let ruleProfile = null;
+  try { ruleProfile = data.ruleProfile ? validateProfile(data.ruleProfile) : null; } catch (error) { console.error('Ignoring the shared rule profile', error); }
+  return { name, state, ruleProfile };
+};
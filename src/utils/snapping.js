@@ -0,0 +1,46 @@
+import { boundingBox, itemVertices } from './geometry';
+
+// Lines an item being dragged can snap to, per axis: the corners of the buildable area (the setback
+// lines) and the edges of the other enabled items.
+export const collectSnapTargets = (geometry, items, movingKey, { toSetbacks = true, toItems = true } = {}) => {
+  const targets = { x: [], y: [] };
+  if (toSetbacks) geometry.buildable.forEach(p => { targets.x.push(p.x); targets.y.push(p.y); });
+  if (toItems) Object.entries(items).forEach(([key, item]) => {
+    if (key === movingKey || !item.enabled) return;
+    const box = boundingBox(itemVertices(item));
+    targets.x.push(box.minX, box.maxX);
+    targets.y.push(box.minY, box.maxY);
+  });
+  return targets;
+};
+
+// Snaps an item's left/right/centre (and top/bottom/centre) to the nearest target within `tolerance`,
+// otherwise rounds the position to the grid. Returns the position and the guide lines that matched.
+export const snapItemPosition = (item, position, { grid = 0, targets = { x: [], y: [] }, tolerance = 0 }) => {
+  const box = boundingBox(itemVertices({ ...item, position: { x: 0, y: 0 } }));
+  const snapAxis = (value, min, max, lines) => {
+    let best = null;
+    [min, max, (min + max) / 2].forEach(offset => lines.forEach(line => {
+      const d = Math.abs(line - (value + offset));
+      if (d <= tolerance && (!best || d < best.d)) best = { d, value: line - offset, guide: line };
+    }));
+    if (best) return best;
+    return { value: grid > 0 ? Math.round(value / grid) * grid : value, guide: null };
+  };
+  const x = snapAxis(position.x, box.minX, box.maxX, targets.x);
+  const y = snapAxis(position.y, box.minY, box.maxY, targets.y);
+  const guides = [];
+  if (x.guide !== null) guides.push({ axis: 'x', value: x.guide });
+  if (y.guide !== null) guides.push({ axis: 'y', value: y.guide });
+  return { position: { x: x.value, y: y.value }, guides };
+};
+
+// Snaps a free point (a measure-tool end) to the nearest corner within `tolerance`, otherwise to the grid.
+export const snapPoint = (point, { grid = 0, corners = [], tolerance = 0 }) => {
+  const nearest = corners.reduce((best, c) => {
+    const d = Math.hypot(c.x - point.x, c.y - point.y);
+    return d <= tolerance && (!best || d < best.d) ? { d, c } : best;
+  }, null);
+  if (nearest) return { x: nearest.c.x, y: nearest.c.y };
+  return grid > 0 ? { x: Math.round(point.x / grid) * grid, y: Math.round(point.y / grid) * grid } : point;
+};
@@ -0,0 +1,46 @@
+export const DEDUCTION_RULES = {
+  all: 'Deducted on every floor',
+  ground: 'Deducted on stilt and ground floors only',
+  none: 'Not deducted',
+};
+
+export const FLOOR_LEVELS = {
+  stilt: 'Stilt',
+  ground: 'Ground',
+  upper: 'Upper',
+};
+
+const AT_GRADE = ['stilt', 'ground'];
+
+// `covered` marks structures that count towards ground coverage, `builtUp` those that make up a floor's
+// footprint, and `levels` (when set) the only floor levels a structure can be placed on.
+export const STRUCTURE_CATEGORIES = {
+  house: { label: 'House', fill: '#bfdbfe', stroke: '#3b82f6', deduction: 'none', covered: true, builtUp: true, size: [30, 25] },
+  parking: { label: 'Parking', fill: '#e5e7eb', stroke: '#6b7280', deduction: 'ground', covered: true, builtUp: true, levels: AT_GRADE, size: [20, 15] },
+  staircase: { label: 'Staircase', fill: '#fef9c3', stroke: '#ca8a04', deduction: 'all', covered: true, builtUp: true, size: [10, 6] },
+  lift: { label: 'Lift', fill: '#fde68a', stroke: '#b45309', deduction: 'all', covered: true, builtUp: true, size: [6, 6] },
+  balcony: { label: 'Balcony', fill: '#ede9fe', stroke: '#7c3aed', deduction: 'all', covered: false, builtUp: true, levels: ['upper'], size: [10, 4] },
+  cantilever: { label: 'Cantilever', fill: '#e0e7ff', stroke: '#4338ca', deduction: 'none', covered: false, builtUp: true, levels: ['upper'], size: [10, 3] },
+  ramp: { label: 'Ramp', fill: '#f3f4f6', stroke: '#4b5563', deduction: 'none', covered: false, builtUp: false, levels: AT_GRADE, size: [4, 12] },
+  securityCabin: { label: 'Security Cabin', fill: '#fce7f3', stroke: '#db2777', deduction: 'ground', covered: true, builtUp: true, levels: AT_GRADE, size: [6, 6] },
+  sump: { label: 'Sump', fill: '#cffafe', stroke: '#0891b2', deduction: 'none', covered: false, builtUp: false, levels: AT_GRADE, size: [6, 6] },
+  septicTank: { label: 'Septic Tank', fill: '#fed7aa', stroke: '#c2410c', deduction: 'none', covered: false, builtUp: false, levels: AT_GRADE, size: [8, 5] },
+  borewell: { label: 'Borewell', fill: '#dbeafe', stroke: '#1d4ed8', deduction: 'none', covered: false, builtUp: false, levels: AT_GRADE, size: [3, 3] },
+  other: { label: 'Other', fill: '#f5f5f4', stroke: '#57534e', deduction: 'none', covered: true, builtUp: true, size: [6, 6] },
+};
+
+export const getCategory = (category) => STRUCTURE_CATEGORIES[category] || STRUCTURE_CATEGORIES.other;
+
+export const itemLabel = (item) => item.label || getCategory(item.category).label;
+
+export const itemArea = (item) => item.enabled ? (parseFloat(item.width) || 0) * (parseFloat(item.length) || 0) : 0;
+
+export const allowedOnLevel = (category, level) => !getCategory(category).levels || getCategory(category).levels.includes(level);
+
+export const levelsLabel = (category) => (getCategory(category).levels || Object.keys(FLOOR_LEVELS)).map(level => FLOOR_LEVELS[level].toLowerCase()).join(' or ');
+
+const isGroundLevel = (level) => AT_GRADE.includes(level);
+
+// The structures deducted from a floor's gross area, given the floor's level. Only built-up structures
+// are part of the gross area, so only they can be deducted from it.
+export const floorDeductions = (structures, level) => structures.filter(s => s.builtUp && s.area > 0 && (s.deduction === 'all' || (s.deduction === 'ground' && isGroundLevel(level))));
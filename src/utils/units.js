@@ -0,0 +1,45 @@
+// All stored lengths are feet and all stored areas square feet. Units only change how values are
+// shown and typed, so switching back and forth never rewrites (or rounds) the saved numbers.
+export const LENGTH_UNITS = {
+  ft: { label: 'ft', name: 'Feet', feet: 1 },
+  m: { label: 'm', name: 'Metres', feet: 1 / 0.3048 },
+};
+
+export const AREA_UNITS = {
+  sqft: { label: 'sqft', name: 'Square feet', sqft: 1, digits: 0 },
+  sqm: { label: 'sq m', name: 'Square metres', sqft: 1 / 0.09290304, digits: 2 },
+  sqyd: { label: 'sq yd', name: 'Square yards', sqft: 9, digits: 2 },
+  gunta: { label: 'gunta', name: 'Guntas', sqft: 1089, digits: 3 },
+  cent: { label: 'cent', name: 'Cents', sqft: 435.6, digits: 3 },
+  acre: { label: 'acre', name: 'Acres', sqft: 43560, digits: 4 },
+};
+
+export const DEFAULT_UNITS = { length: 'ft', areas: ['sqft'] };
+
+const lengthUnit = (unit) => LENGTH_UNITS[unit] || LENGTH_UNITS.ft;
+const areaUnit = (unit) => AREA_UNITS[unit] || AREA_UNITS.sqft;
+
+// Trims float noise (3.0000000000000004) without fixing the number of decimals.
+export const formatNumber = (value, digits = 4) => String(Math.round((parseFloat(value) || 0) * 10 ** digits) / 10 ** digits);
+
+export const toLength = (feet, unit) => (parseFloat(feet) || 0) / lengthUnit(unit).feet;
+export const fromLength = (value, unit) => (parseFloat(value) || 0) * lengthUnit(unit).feet;
+// Rounds a stored length to `digits` decimals of the display unit, so a typed or grid-snapped 5 m is
+// stored as exactly what typing 5 m gives rather than 16.4 ft (4.9987 m).
+export const roundLength = (feet, unit, digits = 4) => fromLength(Math.round(toLength(feet, unit) * 10 ** digits) / 10 ** digits, unit);
+export const toArea = (sqft, unit) => (parseFloat(sqft) || 0) / areaUnit(unit).sqft;
+export const fromArea = (value, unit) => (parseFloat(value) || 0) * areaUnit(unit).sqft;
+
+export const formatLength = (feet, unit, digits = 2) => `${formatNumber(toLength(feet, unit), digits)} ${lengthUnit(unit).label}`;
+export const formatArea = (sqft, unit, digits = areaUnit(unit).digits) => `${toArea(sqft, unit).toFixed(digits)} ${areaUnit(unit).label}`;
+export const formatAreas = (sqft, units) => (units && units.length ? units : DEFAULT_UNITS.areas).map(u => formatArea(sqft, u)).join(' / ');
+
+export const lengthLabel = (unit) => lengthUnit(unit).label;
+export const areaLabel = (unit) => areaUnit(unit).label;
+
+// Formatters handed to code that reports values (compliance messages, drawings).
+export const unitFormatters = (units = DEFAULT_UNITS) => ({
+  length: (feet, digits) => formatLength(feet, units.length, digits),
+  area: (sqft) => formatArea(sqft, (units.areas || DEFAULT_UNITS.areas)[0]),
+  areas: (sqft) => formatAreas(sqft, units.areas),
+});
@@ -0,0 +1,33 @@
+import { toLength, fromLength, roundLength, formatNumber } from './units';
+import { snapPoint } from './snapping';
+
+describe('roundLength', () => {
+  it('keeps typed metric values exact', () => {
+    const typed = fromLength(5, 'm');
+    expect(roundLength(typed, 'm')).toBe(typed);
+    expect(formatNumber(toLength(roundLength(typed, 'm'), 'm'))).toBe('5');
+  });
+
+  it('keeps metric grid steps on the grid', () => {
+    const grid = fromLength(0.5, 'm');
+    [1, 7, 33].forEach(steps => expect(toLength(roundLength(steps * grid, 'm'), 'm')).toBeCloseTo(steps * 0.5, 10));
+  });
+
+  it('trims free positions in the display unit', () => {
+    expect(roundLength(3.14159265, 'ft')).toBe(3.1416);
+    expect(toLength(roundLength(fromLength(1.234567, 'm'), 'm'), 'm')).toBeCloseTo(1.2346, 10);
+  });
+
+  it('is stable when applied again', () => {
+    const once = roundLength(fromLength(2.71828, 'm'), 'm');
+    expect(roundLength(once, 'm')).toBe(once);
+  });
+});
+
+describe('snapPoint', () => {
+  it('snaps to a metric grid stored in feet', () => {
+    const point = snapPoint({ x: fromLength(5.2, 'm'), y: fromLength(1.1, 'm') }, { grid: fromLength(0.5, 'm') });
+    expect(toLength(roundLength(point.x, 'm'), 'm')).toBeCloseTo(5, 10);
+    expect(toLength(roundLength(point.y, 'm'), 'm')).toBeCloseTo(1, 10);
+  });
+});
@@ -0,0 +1,55 @@
+// A minimal zip writer. Files are stored uncompressed, which every unzip tool reads; PDFs and JSON
+// are small enough that compression is not worth a dependency.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date fields.
+const dosDateTime = (date) => [
+  (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+];
+
+const header = (fields) => {
+  const bytes = new Uint8Array(fields.reduce((sum, [size]) => sum + size, 0));
+  const view = new DataView(bytes.buffer);
+  fields.reduce((offset, [size, value]) => {
+    if (size === 4) view.setUint32(offset, value, true); else view.setUint16(offset, value, true);
+    return offset + size;
+  }, 0);
+  return bytes;
+};
+
+// files: [{ name, data }] where data is a string (written as UTF-8) or bytes. Returns the archive as bytes.
+export const createZip = (files, date = new Date()) => {
+  const encoder = new TextEncoder();
+  const [time, day] = dosDateTime(date);
+  const parts = [], central = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const content = typeof data === 'string' ? encoder.encode(data) : data;
+    const crc = crc32(content);
+    // Version 2.0, UTF-8 names (flag bit 11), stored (method 0).
+    const common = [[2, 20], [2, 0x0800], [2, 0], [2, time], [2, day], [4, crc], [4, content.length], [4, content.length], [2, nameBytes.length], [2, 0]];
+    const local = header([[4, 0x04034b50], ...common]);
+    central.push(header([[4, 0x02014b50], [2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]]), nameBytes);
+    parts.push(local, nameBytes, content);
+    offset += local.length + nameBytes.length + content.length;
+  });
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = header([[4, 0x06054b50], [2, 0], [2, 0], [2, files.length], [2, files.length], [4, centralSize], [4, offset], [2, 0]]);
+  const all = [...parts, ...central, end];
+  const out = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+  all.reduce((position, part) => { out.set(part, position); return position + part.length; }, 0);
+  return out;
+};
@@ -0,0 +1,37 @@
+/**
+ * @jest-environment node
+ */
+import { crc32, createZip } from './zip';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+});
+
+describe('createZip', () => {
+  it('writes stored entries that the central directory points at', () => {
+    const files = [{ name: 'plot ü.json', data: '{"a":1}' }, { name: 'b.bin', data: new Uint8Array([0, 1, 2, 255]) }];
+    const zip = createZip(files, new Date(2024, 5, 15, 10, 30, 20));
+    const view = new DataView(zip.buffer);
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+
+    let entry = view.getUint32(end + 16, true);
+    files.forEach(({ name, data }) => {
+      expect(view.getUint32(entry, true)).toBe(0x02014b50);
+      const size = view.getUint32(entry + 24, true), nameLength = view.getUint16(entry + 28, true), local = view.getUint32(entry + 42, true);
+      expect(view.getUint16(entry + 8, true)).toBe(0x0800);
+      expect(text(zip.subarray(entry + 46, entry + 46 + nameLength))).toBe(name);
+      expect(view.getUint32(local, true)).toBe(0x04034b50);
+      const content = zip.subarray(local + 30 + nameLength, local + 30 + nameLength + size);
+      expect(content).toEqual(typeof data === 'string' ? new TextEncoder().encode(data) : data);
+      expect(view.getUint32(entry + 16, true)).toBe(crc32(content));
+      entry += 46 + nameLength;
+    });
+    expect(entry).toBe(end);
+  });
+});